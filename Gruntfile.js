@@ -45,6 +45,10 @@ module.exports = function (grunt) {
 					"src/outro.js"
 				],
 				dest : "lib/<%= pkg.name %>.js"
+			},
+			test : {
+				src  : "<%= concat.dist.src %>",
+				dest : "build/<%= pkg.name %>.js"
 			}
 		},
 		nodeunit: {
@@ -95,21 +99,21 @@ module.exports = function (grunt) {
 	grunt.loadNpmTasks("grunt-contrib-nodeunit");
 	grunt.loadNpmTasks("grunt-contrib-uglify");
 
-	grunt.registerTask("test", ["nodeunit"]);
+	grunt.registerTask("test", ["concat:test", "version:test", "nodeunit"]);
 
 	grunt.registerTask("compress", function () {
 		process.platform !== "win32" ? grunt.task.run("shell") : console.log("Couldn't compress files on your OS")
 	});
 
-	grunt.registerTask("version", function () {
+	grunt.registerTask("version", function (target) {
 		var cfg = grunt.config("pkg"),
 		    ver = cfg.version,
-		    fn  = "lib/" + cfg.name + ".js",
+		    fn  = grunt.config("concat." + (target || "dist") + ".dest"),
 		    fp  = grunt.file.read(fn);
 
 		console.log("Setting version to: " + ver);
 		grunt.file.write(fn, fp.replace(/\{\{VERSION\}\}/g, ver));
 	});
 
-	grunt.registerTask("default", ["concat", "version", "uglify", "test", "compress"]);
+	grunt.registerTask("default", ["concat:dist", "version", "uglify", "test", "compress"]);
 };
\ No newline at end of file
@@ -328,19 +328,43 @@ bootstrap = function () {
 		}, "error", global, "all");
 
 		observer.add( global, "hashchange", function (e )  {
-			var hash = location.hash.replace( /\#|\!\/|\?.*/g, "" );
+			if ( !route.push ) {
+				route.change( location.hash );
+			}
+		}, "hash", global, "all");
 
-			if ( $.route.current !== hash || self.route.current !== hash ) {
-				self.route.current = hash;
+		observer.add( global, "popstate", function ( e ) {
+			if ( route.push ) {
+				route.change( route.hash() + location.search );
+			}
+		}, "history", global, "all");
 
-				if ( $.route.current !== self.route.current ) {
-					// IE8 specific
-					$.route.current = self.route.current;
-				}
+		// Intercepting same origin links in "history" mode
+		observer.add( document, "click", function ( e ) {
+			var obj = utility.target( e ),
+			    uri;
 
-				observer.fire( abaaso, "beforeHash, hash, afterHash", location.hash );
+			if ( !route.push || !( $.route.enabled || self.route.enabled ) || e.button > 0 || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey ) {
+				return;
 			}
-		}, "hash", global, "all");
+
+			while ( obj !== null && obj !== undefined && obj.nodeName !== "A" ) {
+				obj = obj.parentNode;
+			}
+
+			if ( obj === null || obj === undefined || !string.isEmpty( obj.target ) || obj.hasAttribute( "download" ) || obj.host !== location.host || obj.protocol !== location.protocol ) {
+				return;
+			}
+
+			// IE omits the leading slash
+			uri = route.relative( obj.pathname.replace( /^([^\/])/, "/$1" ) );
+
+			// In page anchors are left to the browser
+			if ( uri !== null && ( string.isEmpty( obj.hash ) || obj.pathname !== location.pathname ) ) {
+				utility.stop( e );
+				route.hash( uri + obj.search );
+			}
+		}, "route", document, "all");
 		
 		observer.add( global, "resize", function ( e )  {
 			$.client.size = self.client.size = client.size();
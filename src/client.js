@@ -512,7 +512,11 @@ var client = {
 				}
 
 				if ( !( ab && payload instanceof ArrayBuffer ) && !( blob && payload instanceof Blob ) && payload instanceof Object ) {
-					contentType = "application/json";
+					// Keeping JSON media types, e.g. "application/json-patch+json"
+					if ( contentType === null || !regex.json_type.test( contentType ) ) {
+						contentType = "application/json";
+					}
+
 					payload = json.encode( payload );
 				}
 
@@ -681,6 +685,11 @@ var client = {
 							break;
 					}
 					break;
+				case 304:
+					// Not modified, the caller has the representation from a conditional request
+					deferred.resolve( null );
+					uri.fire( "after" + typed, null, xhr );
+					break;
 				case 401:
 					exception( !server ? Error( label.error.serverUnauthorized ) : label.error.serverUnauthorized, xhr );
 					break;
@@ -39,929 +39,2940 @@ var data = {
 		return obj;
 	},
 
+	/**
+	 * Compares a value with an Object of operators
+	 *
+	 * @method compare
+	 * @param  {Mixed}  value Field value
+	 * @param  {Object} ops   Operators, e.g. {$gte: 18, $lt: 65}
+	 * @return {Boolean}      `true` if every operator is satisfied
+	 */
+	compare : function ( value, ops ) {
+		var result = true,
+		    empty  = ( value === undefined || value === null );
+
+		utility.iterate( ops, function ( arg, op ) {
+			switch ( op ) {
+				case "$eq":
+					result = ( value === arg );
+					break;
+				case "$ne":
+					result = ( value !== arg );
+					break;
+				case "$gt":
+					result = ( !empty && value > arg );
+					break;
+				case "$gte":
+					result = ( !empty && value >= arg );
+					break;
+				case "$lt":
+					result = ( !empty && value < arg );
+					break;
+				case "$lte":
+					result = ( !empty && value <= arg );
+					break;
+				case "$in":
+					result = ( arg instanceof Array && array.contains( arg, value ) );
+					break;
+				case "$nin":
+					result = !( arg instanceof Array && array.contains( arg, value ) );
+					break;
+				case "$regex":
+					result = ( !empty && ( arg instanceof RegExp ? arg : new RegExp( arg, ops.$options || "" ) ).test( value ) );
+					break;
+				case "$options":
+					break;
+				case "$exists":
+					result = ( ( value !== undefined ) === ( arg !== false ) );
+					break;
+				case "$not":
+					result = !data.compare( value, arg );
+					break;
+				default:
+					throw Error( label.error.invalidArguments );
+			}
+
+			return result;
+		});
+
+		return result;
+	},
+
+	/**
+	 * Gets the value of a field, which can be a dot path resolved with utility.walk(), e.g. "address.city"
+	 *
+	 * @method field
+	 * @param  {Object} obj  Record data
+	 * @param  {String} path Field
+	 * @return {Mixed}       Value, or undefined
+	 */
+	field : function ( obj, path ) {
+		if ( obj.hasOwnProperty( path ) || !regex.walk_path.test( path ) ) {
+			return obj[path];
+		}
+
+		try {
+			return utility.walk( obj, path );
+		}
+		catch ( e ) {
+			return undefined;
+		}
+	},
+
+	/**
+	 * Gets the index value of field values; Objects & NaN can't be indexed because they aren't equal by value
+	 *
+	 * @method indexValue
+	 * @param  {Array} values Values of the indexed fields
+	 * @return {Mixed}        String, or null if a value can't be indexed
+	 */
+	indexValue : function ( values ) {
+		var result = [];
+
+		array.each( values, function ( value ) {
+			var type = typeof value;
+
+			if ( value === null ) {
+				result.push( "null" );
+			}
+			else if ( ( type === "number" && isNaN( value ) ) || ( type !== "undefined" && !regex.boolean_number_string.test( type ) ) ) {
+				result = null;
+
+				return false;
+			}
+			else {
+				result.push( type + ":" + value );
+			}
+		});
+
+		return result !== null ? json.encode( result ) : null;
+	},
+
+	/**
+	 * Finds the data of the records in a store with a field value; computed fields are removed to avoid nesting
+	 * related records
+	 *
+	 * @method lookup
+	 * @param  {Object} store DataStore
+	 * @param  {String} field Field, the store's key is a direct lookup
+	 * @param  {Mixed}  value Field value
+	 * @return {Array}        Record data
+	 */
+	lookup : function ( store, field, value ) {
+		var records, record, where;
+
+		if ( value === undefined || value === null ) {
+			return [];
+		}
+
+		if ( field === store.key ) {
+			record  = store.get( value.toString() );
+			records = record !== undefined ? [record] : [];
+		}
+		else {
+			where        = {};
+			where[field] = value;
+			records      = store.select( where );
+		}
+
+		return records.map( function ( i ) {
+			var obj = utility.clone( i.data );
+
+			utility.iterate( store.computed, function ( v, k ) {
+				delete obj[k];
+			});
+
+			return obj;
+		});
+	},
+
+	/**
+	 * Determines if a record matches a WHERE clause
+	 *
+	 * Fields can be dot paths, and their values can be a function, an Object of operators ( see data.compare() )
+	 * or a value to compare strictly; `$and`, `$or` & `$nor` are Arrays of WHERE clauses
+	 *
+	 * @method match
+	 * @param  {Object} obj   Record data
+	 * @param  {Object} where WHERE clause
+	 * @return {Boolean}      `true` if the record matches
+	 */
+	match : function ( obj, where ) {
+		var result = true;
+
+		utility.iterate( where, function ( v, k ) {
+			var value;
+
+			switch ( k ) {
+				case "$and":
+				case "$nor":
+				case "$or":
+					if ( !( v instanceof Array ) ) {
+						throw Error( label.error.invalidArguments );
+					}
+
+					result = ( k === "$or" && v.length > 0 ) ? false : true;
+
+					array.each( v, function ( i ) {
+						var match = data.match( obj, i );
+
+						if ( k === "$or" && match ) {
+							result = true;
+
+							return false;
+						}
+						else if ( ( k === "$and" && !match ) || ( k === "$nor" && match ) ) {
+							result = false;
+
+							return false;
+						}
+					});
+					break;
+				default:
+					value = data.field( obj, k );
+
+					if ( typeof v === "function" ) {
+						result = !!v( value );
+					}
+					else if ( data.operator( v ) ) {
+						result = data.compare( value, v );
+					}
+					else {
+						result = ( value === v );
+					}
+			}
+
+			return result;
+		});
+
+		return result;
+	},
+
+	/**
+	 * Determines if a WHERE clause value is an Object of operators
+	 *
+	 * @method operator
+	 * @param  {Mixed} arg WHERE clause value
+	 * @return {Boolean}   `true` if every property is an operator, e.g. {$gt: 30}
+	 */
+	operator : function ( arg ) {
+		var result = false;
+
+		if ( arg !== null && typeof arg === "object" && !( arg instanceof Array ) && !( arg instanceof RegExp ) ) {
+			utility.iterate( arg, function ( v, k ) {
+				return ( result = ( k.charAt( 0 ) === "$" ) );
+			});
+		}
+
+		return result;
+	},
+
+	/**
+	 * Parses an SQL ( style ) query into fields, a WHERE clause ( see data.match() ), ORDER BY, LIMIT & OFFSET
+	 *
+	 * Conditions support =, !=, <>, <, <=, >, >=, [NOT] LIKE, [NOT] IN, IS [NOT] NULL, AND, OR, NOT & parentheses;
+	 * syntax errors have the `position` of the unexpected token
+	 *
+	 * @method parse
+	 * @param  {String} arg Query, e.g. "SELECT name, email WHERE age >= 21 ORDER BY name desc LIMIT 10 OFFSET 20"
+	 * @return {Object}     Parsed query {fields, limit, offset, order, where}
+	 */
+	parse : function ( arg ) {
+		var tokens   = [],
+		    result   = {fields: null, limit: null, offset: 0, order: null, where: null},
+		    reserved = /^(and|asc|by|desc|false|in|is|like|limit|not|null|offset|or|order|select|true|where)$/i,
+		    ops      = {"!=": "$ne", "<>": "$ne", "<": "$lt", "<=": "$lte", ">": "$gt", ">=": "$gte"},
+		    pos      = 0,
+		    i        = 0,
+		    match, rest, order, fail, keyword, symbol, field, value, integer, disjunction, conjunction, negation, comparison;
+
+		// Throws a syntax error at a token, or the end of the query
+		fail = function ( token ) {
+			var position = token !== undefined ? token.position : arg.length,
+			    e        = Error( label.error.invalidQuery.replace( "{{token}}", token !== undefined ? "\"" + token.text + "\"" : "end of query" ).replace( "{{position}}", position ) );
+
+			e.position = position;
+
+			throw e;
+		};
+
+		// Consumes a keyword if it's next
+		keyword = function ( arg ) {
+			var token = tokens[i];
+
+			if ( token !== undefined && token.type === "word" && token.value.toUpperCase() === arg ) {
+				i++;
+
+				return true;
+			}
+
+			return false;
+		};
+
+		// Consumes a symbol if it's next
+		symbol = function ( arg ) {
+			var token = tokens[i];
+
+			if ( token !== undefined && token.type === "symbol" && token.value === arg ) {
+				i++;
+
+				return true;
+			}
+
+			return false;
+		};
+
+		field = function () {
+			var token = tokens[i];
+
+			if ( token === undefined || token.type !== "word" || reserved.test( token.value ) ) {
+				fail( token );
+			}
+
+			i++;
+
+			return token.value;
+		};
+
+		value = function () {
+			var token = tokens[i++];
+
+			if ( token === undefined ) {
+				fail( token );
+			}
+			else if ( token.type === "string" || token.type === "number" ) {
+				return token.value;
+			}
+			else if ( token.type === "word" && /^(true|false)$/i.test( token.value ) ) {
+				return ( token.value.toLowerCase() === "true" );
+			}
+			else if ( token.type === "word" && /^null$/i.test( token.value ) ) {
+				return null;
+			}
+
+			fail( token );
+		};
+
+		integer = function () {
+			var token = tokens[i++];
+
+			if ( token === undefined || token.type !== "number" || token.value < 0 || token.value % 1 !== 0 ) {
+				fail( token );
+			}
+
+			return token.value;
+		};
+
+		comparison = function () {
+			var name   = field(),
+			    result = {},
+			    negate, token, values;
+
+			if ( keyword( "IS" ) ) {
+				negate = keyword( "NOT" );
+
+				if ( !keyword( "NULL" ) ) {
+					fail( tokens[i] );
+				}
+
+				result[name] = negate ? {$nin: [null, undefined]} : {$in: [null, undefined]};
+			}
+			else {
+				negate = keyword( "NOT" );
+
+				if ( keyword( "LIKE" ) ) {
+					token = tokens[i++];
+
+					if ( token === undefined || token.type !== "string" ) {
+						fail( token );
+					}
+
+					result[name] = {$regex: "^" + token.value.replace( /[.*+?^${}()|[\]\\]/g, "\\$&" ).replace( /%/g, ".*" ).replace( /_/g, "." ) + "$", $options: "i"};
+
+					if ( negate ) {
+						result[name] = {$not: result[name]};
+					}
+				}
+				else if ( keyword( "IN" ) ) {
+					if ( !symbol( "(" ) ) {
+						fail( tokens[i] );
+					}
+
+					values = [value()];
+
+					while ( symbol( "," ) ) {
+						values.push( value() );
+					}
+
+					if ( !symbol( ")" ) ) {
+						fail( tokens[i] );
+					}
+
+					result[name] = negate ? {$nin: values} : {$in: values};
+				}
+				else if ( negate || tokens[i] === undefined || tokens[i].type !== "symbol" || ( tokens[i].value !== "=" && ops[tokens[i].value] === undefined ) ) {
+					fail( tokens[i] );
+				}
+				else {
+					token = tokens[i++];
+
+					if ( token.value === "=" ) {
+						result[name] = value();
+					}
+					else {
+						result[name] = {};
+						result[name][ops[token.value]] = value();
+					}
+				}
+			}
+
+			return result;
+		};
+
+		negation = function () {
+			var result;
+
+			if ( keyword( "NOT" ) ) {
+				return {$nor: [negation()]};
+			}
+			else if ( symbol( "(" ) ) {
+				result = disjunction();
+
+				if ( !symbol( ")" ) ) {
+					fail( tokens[i] );
+				}
+
+				return result;
+			}
+
+			return comparison();
+		};
+
+		// Terms are merged when possible, so equality lookups can use an index
+		conjunction = function () {
+			var terms  = [negation()],
+			    result = {},
+			    and    = [];
+
+			while ( keyword( "AND" ) ) {
+				terms.push( negation() );
+			}
+
+			if ( terms.length === 1 ) {
+				return terms[0];
+			}
+
+			array.each( terms, function ( t ) {
+				var merge = true;
+
+				utility.iterate( t, function ( v, k ) {
+					return ( merge = ( k.charAt( 0 ) !== "$" && !result.hasOwnProperty( k ) ) );
+				});
+
+				merge ? utility.iterate( t, function ( v, k ) { result[k] = v; } ) : and.push( t );
+			});
+
+			if ( and.length > 0 ) {
+				result.$and = and;
+			}
+
+			return result;
+		};
+
+		disjunction = function () {
+			var terms = [conjunction()];
+
+			while ( keyword( "OR" ) ) {
+				terms.push( conjunction() );
+			}
+
+			return terms.length === 1 ? terms[0] : {$or: terms};
+		};
+
+		if ( typeof arg !== "string" ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		// Tokenizing
+		regex.query_token.lastIndex = 0;
+
+		while ( pos < arg.length ) {
+			rest = arg.substring( pos ).replace( /^\s+/, "" );
+
+			if ( string.isEmpty( rest ) ) {
+				break;
+			}
+
+			match = regex.query_token.exec( arg );
+
+			if ( match === null || match.index !== pos ) {
+				fail( {position: arg.length - rest.length, text: rest.charAt( 0 )} );
+			}
+
+			pos = regex.query_token.lastIndex;
+
+			if ( match[1] !== undefined ) {
+				tokens.push( {type: "string", value: match[1].slice( 1, -1 ).replace( /''/g, "'" ), text: match[1], position: pos - match[1].length} );
+			}
+			else if ( match[2] !== undefined ) {
+				tokens.push( {type: "number", value: number.parse( match[2] ), text: match[2], position: pos - match[2].length} );
+			}
+			else if ( match[3] !== undefined ) {
+				tokens.push( {type: "word", value: match[3], text: match[3], position: pos - match[3].length} );
+			}
+			else {
+				tokens.push( {type: "symbol", value: match[4], text: match[4], position: pos - match[4].length} );
+			}
+		}
+
+		// Parsing
+		if ( !keyword( "SELECT" ) ) {
+			fail( tokens[i] );
+		}
+
+		if ( !symbol( "*" ) ) {
+			result.fields = [field()];
+
+			while ( symbol( "," ) ) {
+				result.fields.push( field() );
+			}
+		}
+
+		if ( keyword( "WHERE" ) ) {
+			result.where = disjunction();
+		}
+
+		if ( keyword( "ORDER" ) ) {
+			if ( !keyword( "BY" ) ) {
+				fail( tokens[i] );
+			}
+
+			order = [];
+
+			do {
+				order.push( field() + ( keyword( "DESC" ) ? " desc" : ( keyword( "ASC" ), "" ) ) );
+			} while ( symbol( "," ) );
+
+			result.order = order.join( ", " );
+		}
+
+		if ( keyword( "LIMIT" ) ) {
+			result.limit = integer();
+		}
+
+		if ( keyword( "OFFSET" ) ) {
+			result.offset = integer();
+		}
+
+		if ( i < tokens.length ) {
+			fail( tokens[i] );
+		}
+
+		return result;
+	},
+
+	/**
+	 * Gets the records of a response, which is the first Array found if the response isn't an Array
+	 *
+	 * @method unwrap
+	 * @param  {Object} arg    Response
+	 * @param  {String} source [Optional] Path to the records in the response, see DataStore.source
+	 * @return {Array}         Records
+	 */
+	unwrap : function ( arg, source ) {
+		var found = false,
+		    result;
+
+		if ( typeof arg !== "object" ) {
+			throw Error( label.error.expectedObject );
+		}
+
+		if ( source !== null && source !== undefined ) {
+			arg = utility.walk( arg, source );
+		}
+
+		if ( arg instanceof Array ) {
+			result = arg;
+		}
+		else utility.iterate( arg, function ( i ) {
+			if ( !found && i instanceof Array ) {
+				found  = true;
+				result = i;
+			}
+		});
+
+		if ( result === undefined ) {
+			result = [arg];
+		}
+
+		return result;
+	},
+
 	// Inherited by data stores
 	methods : {
 		/**
-		 * Batch sets or deletes data in the store
+		 * Aggregates records into grouped rows, e.g.
+		 * {groupBy: "region", metrics: {total: ["sum", "amount"], avg: ["mean", "amount"], n: "count"}, where: {...}}
 		 *
-		 * Events: beforeDataBatch  Fires before the batch is queued
-		 *         afterDataBatch   Fires after the batch is queued
-		 *         failedDataBatch  Fires when an exception occurs
+		 * Metrics are "count", or [fn, field] where `fn` is max, mean, median, min, mode, range or sum ( see array );
+		 * null & undefined values are skipped. Rows are plain Objects, so they can be batch set into a DataList's store
 		 *
-		 * @method batch
-		 * @param  {String}  type    Type of action to perform ( set/del/delete )
-		 * @param  {Mixed}   data    Array of keys or indices to delete, or Object containing multiple records to set
-		 * @param  {Boolean} sync    [Optional] Syncs store with data, if true everything is erased
-		 * @param  {Number}  chunk   [Optional] Size to chunk Array to batch set or delete
+		 * @method aggregate
+		 * @param  {Object} arg Aggregation {groupBy, metrics, where}
+		 * @return {Array}      Rows
+		 */
+		aggregate : function ( arg ) {
+			var groups  = {},
+			    ids     = [],
+			    metrics = {},
+			    rows    = [],
+			    fields;
+
+			if ( !( arg instanceof Object ) || !( arg.metrics instanceof Object ) ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			fields = arg.groupBy === undefined ? [] : ( arg.groupBy instanceof Array ? arg.groupBy : string.explode( arg.groupBy ) );
+
+			utility.iterate( arg.metrics, function ( v, k ) {
+				var metric = v instanceof Array ? v : [v];
+
+				if ( !regex.aggregate.test( metric[0] ) || ( metric[0] !== "count" && typeof metric[1] !== "string" ) ) {
+					throw Error( label.error.invalidArguments );
+				}
+
+				metrics[k] = metric;
+			});
+
+			array.each( arg.where !== undefined ? this.select( arg.where ) : this.records, function ( i ) {
+				var values = [],
+				    id;
+
+				array.each( fields, function ( f ) {
+					values.push( data.field( i.data, f ) );
+				});
+
+				id = JSON.stringify( values );
+
+				if ( groups[id] === undefined ) {
+					groups[id] = {values: values, records: []};
+					ids.push( id );
+				}
+
+				groups[id].records.push( i );
+			});
+
+			// Aggregating everything yields a row, even without records
+			if ( fields.length === 0 && ids.length === 0 ) {
+				groups["[]"] = {values: [], records: []};
+				ids.push( "[]" );
+			}
+
+			array.each( ids, function ( id ) {
+				var group = groups[id],
+				    row   = {};
+
+				array.each( fields, function ( f, idx ) {
+					row[f] = group.values[idx];
+				});
+
+				utility.iterate( metrics, function ( v, k ) {
+					var values;
+
+					if ( v[0] === "count" && v[1] === undefined ) {
+						row[k] = group.records.length;
+					}
+					else {
+						values = [];
+
+						array.each( group.records, function ( i ) {
+							var value = data.field( i.data, v[1] );
+
+							if ( value !== null && value !== undefined ) {
+								values.push( value );
+							}
+						});
+
+						row[k] = v[0] === "count" ? values.length : ( values.length > 0 ? array[v[0]]( values ) : null );
+					}
+				});
+
+				rows.push( row );
+			});
+
+			return rows;
+		},
+
+		/**
+		 * Batch sets or deletes data in the store
+		 *
+		 * Atomic batches wait for every operation to settle, and restore the store if any failed; failedDataBatch
+		 * receives the failed items, e.g. [{item: ..., error: ...}], which are also the rejection's `failed` property
+		 *
+		 * Batches are a single entry in the history ( see undo() ), unless they sync a RESTful store. Records which
+		 * sync the store, or load a page ( see more() ), are the server's, so they aren't conformed to the `schema`
+		 *
+		 * Events: beforeDataBatch  Fires before the batch is queued
+		 *         afterDataBatch   Fires after the batch is queued
+		 *         failedDataBatch  Fires when an exception occurs
+		 *
+		 * @method batch
+		 * @param  {String}  type    Type of action to perform ( set/del/delete )
+		 * @param  {Mixed}   data    Array of keys or indices to delete, or Object containing multiple records to set
+		 * @param  {Boolean} sync    [Optional] Syncs store with data, if true everything is erased
+		 * @param  {Number}  chunk   [Optional] Size to chunk Array to batch set or delete
+		 * @param  {Boolean} atomic  [Optional] Rolls back the store if any operation fails
 		 * @return {Object}          Promise
 		 */
-		batch : function ( type, data, sync, chunk ) {
+		batch : function ( type, data, sync, chunk, atomic ) {
 			type    = type.toString().toLowerCase();
 			sync    = ( sync === true );
 			chunk   = chunk || 1000;
+			atomic  = ( atomic === true );
+
+			if ( !regex.set_del.test( type ) || ( sync && regex.del.test( type ) ) || typeof data !== "object" ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			var self     = this,
+			    events   = ( this.events === true ),
+			    r        = 0,
+			    nth      = data.length,
+			    f        = false,
+			    deferred = promise.factory(),
+			    failed   = [],
+			    before   = null,
+			    remote   = ( sync || this.replaying ),
+			    complete, deferred2, failure, key, set, del, rollback, snapshot, parsed;
+
+			deferred2 = deferred.then( function ( arg ) {
+				var prior;
+
+				self.loaded = true;
+
+				if ( regex.del.test( type ) ) {
+					self.reindex();
+				}
+
+				// Coalescing the batch into one history entry of the records it changed
+				if ( before !== null ) {
+					prior = [];
+
+					utility.iterate( before, function ( v, k ) {
+						if ( self.keys[k] === undefined || self.records[self.keys[k]].data !== v ) {
+							prior.push( {key: k, data: v, batch: true} );
+						}
+					});
+
+					array.each( self.records, function ( i ) {
+						if ( !before.hasOwnProperty( i.key ) ) {
+							prior.push( {key: i.key, data: undefined, batch: true} );
+						}
+					});
+
+					self.track( prior );
+				}
+
+				array.each( self.datalists, function ( i ) {
+					i.refresh( true );
+				});
+
+				if ( events ) {
+					observer.fire( self.parentNode, "afterDataBatch", arg );
+				}
+			}, function ( e ) {
+				if ( events ) {
+					observer.fire( self.parentNode, "failedDataBatch", atomic && e.failed instanceof Array ? e.failed : e );
+				}
+
+				throw e;
+			});
+
+			complete = function ( arg ) {
+				if ( failed.length > 0 ) {
+					rollback();
+				}
+				else {
+					deferred.resolve( arg );
+				}
+			};
+
+			failure = function ( arg, item ) {
+				if ( atomic ) {
+					failed.push( {item: item, error: arg} );
+
+					if ( ++r === nth ) {
+						rollback();
+					}
+				}
+				else if ( !f ) {
+					f = true;
+					deferred.reject( arg );
+				}
+			};
+
+			// Restoring the snapshot of an atomic batch, and re-rendering the DataLists
+			rollback = function () {
+				var e = Error( label.error.batchFailed );
+
+				self.collections = snapshot.collections;
+				self.crawled     = snapshot.crawled;
+				self.keys        = snapshot.keys;
+				self.loaded      = snapshot.loaded;
+				self.nextPage    = snapshot.nextPage;
+				self.pages       = snapshot.pages;
+				self.records     = snapshot.records;
+				self.total       = snapshot.total;
+				self.versions    = snapshot.versions;
+
+				array.each( self.records, function ( i, idx ) {
+					i.data = snapshot.data[idx];
+				});
+
+				self.reindex();
+
+				array.each( self.datalists, function ( i ) {
+					i.refresh( true );
+				});
+
+				e.failed = failed;
+				deferred.reject( e );
+			};
+
+			set = function ( arg, key ) {
+				var data     = utility.clone( arg ),
+				    deferred = promise.factory(),
+				    rec      = {};
+
+				if ( typeof data.batch !== "function" ) {
+					rec = data;
+				}
+				else {
+					utility.iterate( data, function ( v, k ) {
+						if ( !array.contains( self.collections, k ) ) rec[k] = v;
+					});
+				}
+
+				if ( self.key !== null && rec[self.key] !== undefined ) {
+					key = rec[self.key];
+					delete rec[self.key];
+				}
+
+				deferred.then( function ( arg ) {
+					if ( ++r === nth ) complete( self.records );
+				}, function ( e ) {
+					failure( e, arg );
+				});
+
+				if ( rec instanceof Array && self.uri !== null ) {
+					self.generate( key, undefined )
+					    .then( function ( arg ) {
+					    	deferred.resolve( arg );
+					     }, function ( e ) {
+					    	deferred.reject( e );
+					     });
+				}
+				else {
+					self.set( key, rec, true, remote )
+					    .then( function ( arg ) {
+					    	deferred.resolve( arg );
+					     }, function ( e ) {
+					    	deferred.reject( e );
+					     });
+				}
+			};
+
+			del = function ( i ) {
+				var deferred = promise.factory();
+
+				deferred.then( function ( arg ) {
+					if ( ++r === nth ) {
+						complete( arg );
+					}
+
+					return arg;
+				}, function ( arg ) {
+					failure( arg, i );
+
+					return arg;
+				});
+
+				self.del( i, false, true )
+				    .then( function ( arg ) {
+				    	deferred.resolve( arg );
+				     }, function ( e ) {
+				    	deferred.reject( e );
+				     });
+			};
+
+			if ( events ) {
+				observer.fire( self.parentNode, "beforeDataBatch", data );
+			}
+
+			// Server state loaded by sync() isn't a change, so it's not tracked
+			if ( this.maxHistory > 0 && !this.replaying && ( !sync || this.uri === null ) ) {
+				before = {};
+
+				array.each( this.records, function ( i ) {
+					before[i.key] = i.data;
+				});
+			}
+
+			if ( atomic ) {
+				snapshot = {
+					collections : this.collections.slice(),
+					crawled     : this.crawled,
+					data        : [],
+					keys        : utility.merge( {}, this.keys ),
+					loaded      : this.loaded,
+					nextPage    : this.nextPage,
+					pages       : this.pages,
+					records     : this.records.slice(),
+					total       : this.total,
+					versions    : utility.merge( {}, this.versions )
+				};
+
+				array.each( this.records, function ( i ) {
+					snapshot.data.push( i.data );
+				});
+			}
+
+			if ( sync ) {
+				this.clear( sync );
+			}
+
+			if ( data.length === 0 ) {
+				complete( [] );
+			}
+			else {
+				if ( type === "set" ) {
+					array.each( array.chunk( data, chunk ), function ( a, adx ) {
+						var offset = adx * chunk,
+						    id;
+
+						array.each( a, function ( i, idx ) {
+							if ( array.contains ( self.ignore, i ) || array.contains ( self.leafs, i ) ) {
+								id = i;
+								i  = {};
+							}
+
+							if ( typeof i === "object" ) {
+								set( i, id || utility.uuid() );
+							}
+							else if ( i.indexOf( "//" ) === -1 ) {
+								// Relative path to store, i.e. a child
+								if ( i.charAt( 0 ) !== "/" ) {
+									i = self.uri + "/" + i;
+								}
+
+								// Root path, relative to store, i.e. a domain
+								else if ( self.uri !== null && regex.root.test( i ) ) {
+									parsed = utility.parse( self.uri );
+									i      = parsed.protocol + "//" + parsed.host + i;
+								}
+
+								idx = i.replace( regex.not_endpoint, "" );
+
+								if ( string.isEmpty( idx ) ) {
+									return;
+								}
+
+								client.request( i, "GET", function ( arg, xhr ) {
+									self.version( idx, xhr );
+									set( self.source === null ? arg : utility.walk( arg, self.source ), idx );
+								}, function ( e ) {
+									failure( e, i );
+								}, utility.merge( {withCredentials: self.credentials}, self.headers ) );
+							}
+							else {
+								idx = i.replace( regex.not_endpoint, "" );
+
+								if ( string.isEmpty( idx ) ) {
+									return;
+								}
+
+								client.request( i, "GET", function ( arg, xhr ) {
+									self.version( idx, xhr );
+									set( self.source === null ? arg : utility.walk( arg, self.source ), idx );
+								}, function ( e ) {
+									failure( e, i );
+								}, utility.merge( {withCredentials: self.credentials}, self.headers) );
+							}
+						});
+					});
+				}
+				else {
+					array.each( data.sort( array.sort ).reverse(), function ( i ) {
+						del( i );
+					});
+				}
+			}
+
+			return deferred2;
+		},
+
+		/**
+		 * Clears the data object, unsets the uri property
+		 *
+		 * Events: beforeDataClear  Fires before the data is cleared
+		 *         afterDataClear   Fires after the data is cleared
+		 *
+		 * @method clear
+		 * @param  {Boolean} sync    [Optional] Boolean to limit clearing of properties
+		 * @return {Object}          Data store
+		 */
+		clear : function ( sync ) {
+			sync       = ( sync === true );
+			var events = ( this.events === true );
+
+			if ( !sync ) {
+				if ( events ) {
+					observer.fire( this.parentNode, "beforeDataClear" );
+				}
+
+				this.callback    = null;
+				this.collections = [];
+				this.computed    = {};
+				this.crawled     = false;
+				this.credentials = null;
+				this.datalists   = [];
+				this.delta       = false;
+				this.depth       = 0;
+				this.events      = true;
+				this.expires     = null;
+				this.flushing    = null;
+				this.future      = [];
+				this.headers     = {Accept: "application/json"};
+				this.history     = [];
+				this.ignore      = [];
+				this.indexes     = {};
+				this.key         = null;
+				this.keys        = {};
+				this.lastSync    = null;
+				this.leafs       = [];
+				this.loaded      = false;
+				this.maxDepth    = 0;
+				this.maxHistory  = 0;
+				this.nextPage    = null;
+				this.offline     = false;
+				this.pages       = 0;
+				this.paging      = null;
+				this.pointer     = null;
+				this.queue       = [];
+				this.records     = [];
+				this.recursive   = false;
+				this.relations   = {};
+				this.replaying   = false;
+				this.retrieve    = false;
+				this.retry       = 30000;
+				this.revision    = null;
+				this.schema      = null;
+				this.since       = null;
+				this.source      = null;
+				this.tombstone   = null;
+				this.total       = 0;
+				this.views       = {};
+				this.versions    = {};
+				this.uri         = null;
+
+				if ( events ) {
+					observer.fire( this.parentNode, "afterDataClear" );
+				}
+			}
+			else {
+				this.collections = [];
+				this.crawled     = false;
+				this.keys        = {};
+
+				utility.iterate( this.indexes, function ( i ) {
+					i.keys   = {};
+					i.other  = {};
+					i.values = {};
+				});
+
+				this.loaded      = false;
+				this.nextPage    = null;
+				this.pages       = 0;
+				this.records     = [];
+				this.total       = 0;
+				this.versions    = {};
+				this.views       = {};
+			}
+
+			return this;
+		},
+
+		/**
+		 * Conforms record data to the `schema`, applying defaults & coercing values ( see utility.coerce() )
+		 *
+		 * Fields are described by {type, required, default, enum, min, max, pattern}; `type` is array, boolean, date,
+		 * number, object or string, `pattern` is a RegExp or the name of one in regex ( e.g. "email" ), and `min` & `max`
+		 * are lengths for Strings & Arrays. Fields which are not in the schema are invalid
+		 *
+		 * @method conform
+		 * @param  {Object} arg Record data
+		 * @return {Object}     Results {pass, invalid}, like validate.test()
+		 */
+		conform : function ( arg ) {
+			var self    = this,
+			    invalid = [],
+			    fail;
+
+			fail = function ( field, test, value ) {
+				invalid.push( {field: field, test: test, value: value} );
+			};
+
+			if ( this.schema !== null ) {
+				utility.iterate( arg, function ( v, k ) {
+					if ( self.schema[k] === undefined && k !== self.key && !array.contains( self.ignore, k ) && !array.contains( self.collections, k ) ) {
+						fail( k, "unknown", v );
+					}
+				});
+
+				utility.iterate( this.schema, function ( field, k ) {
+					var value = arg[k],
+					    valid, size, pattern;
+
+					if ( ( value === undefined || value === null ) && field["default"] !== undefined ) {
+						value = arg[k] = typeof field["default"] === "function" ? field["default"]() : utility.clone( field["default"] );
+					}
+
+					if ( value === undefined || value === null || value === "" ) {
+						if ( field.required === true ) {
+							fail( k, "required", value );
+						}
+
+						return;
+					}
+
+					if ( typeof value === "string" && ( field.type === "boolean" || field.type === "number" ) ) {
+						value = arg[k] = utility.coerce( value );
+					}
+					else if ( field.type === "string" && regex.boolean_number_string.test( typeof value ) ) {
+						value = arg[k] = value.toString();
+					}
+
+					switch ( field.type ) {
+						case undefined:
+							valid = true;
+							break;
+						case "array":
+							valid = ( value instanceof Array );
+							break;
+						case "date":
+							valid = ( ( typeof value === "string" || typeof value === "number" || value instanceof Date ) && !isNaN( new Date( value ).getTime() ) );
+							break;
+						case "number":
+							valid = ( typeof value === "number" && !isNaN( value ) );
+							break;
+						case "object":
+							valid = ( value instanceof Object && !( value instanceof Array ) );
+							break;
+						default:
+							valid = ( typeof value === field.type );
+					}
+
+					if ( !valid ) {
+						return fail( k, "type", value );
+					}
+
+					if ( field["enum"] instanceof Array && !array.contains( field["enum"], value ) ) {
+						fail( k, "enum", value );
+					}
+
+					size = ( typeof value === "string" || value instanceof Array ) ? value.length : value;
+
+					if ( field.min !== undefined && size < field.min ) {
+						fail( k, "min", value );
+					}
+
+					if ( field.max !== undefined && size > field.max ) {
+						fail( k, "max", value );
+					}
+
+					if ( field.pattern !== undefined ) {
+						pattern = field.pattern instanceof RegExp ? field.pattern : regex[field.pattern];
+
+						if ( !( pattern instanceof RegExp ) ) {
+							throw Error( label.error.invalidArguments );
+						}
+
+						if ( !pattern.test( value ) ) {
+							fail( k, "pattern", value );
+						}
+					}
+				});
+			}
+
+			return {pass: ( invalid.length === 0 ), invalid: invalid};
+		},
+
+		/**
+		 * Reports a write conflict ( 412 Precondition Failed ), retrieving the server's version of the record
+		 * if the response doesn't include it
+		 *
+		 * Events: conflictDataSet  Fires with {key, local, server}; `local` is null if the write was a DELETE
+		 *
+		 * @method conflict
+		 * @param  {String} key   Record key
+		 * @param  {Object} local Local version of the record, or null
+		 * @param  {String} uri   Record URI
+		 * @param  {Object} xhr   XMLHttpRequest of the failed write
+		 * @return {Object}       Promise
+		 */
+		conflict : function ( key, local, uri, xhr ) {
+			var self     = this,
+			    deferred = promise.factory(),
+			    body     = client.parse( xhr ),
+			    complete;
+
+			complete = function ( arg ) {
+				var result = arg instanceof Object ? arg : null;
+
+				if ( result !== null && result[self.key] !== undefined ) {
+					delete result[self.key];
+				}
+
+				if ( self.events ) {
+					observer.fire( self.parentNode, "conflictDataSet", {key: key, local: local, server: result} );
+				}
+
+				deferred.resolve( result );
+			};
+
+			this.version( key, xhr );
+
+			if ( body instanceof Object ) {
+				complete( body );
+			}
+			else {
+				cache.expire( uri, true );
+
+				client.request( uri, "GET", function ( arg, xhr ) {
+					self.version( key, xhr );
+					complete( arg );
+				}, function () {
+					complete( null );
+				}, utility.merge( {withCredentials: this.credentials}, this.headers ) );
+			}
+
+			return deferred;
+		},
+
+		/**
+		 * Crawls a record's properties and creates data stores when URIs are detected
+		 *
+		 * Events: afterDataRetrieve  Fires after the store has retrieved all data from crawling
+		 *         failedDataRetrieve Fires if an exception occurs
+		 * 
+		 * @method crawl
+		 * @param  {Mixed}  arg Record, key or index
+		 * @return {Object}     Promise
+		 */
+		crawl : function ( arg ) {
+			var self     = this,
+			    events   = ( this.events === true ),
+			    record   = ( arg instanceof Object ) ? arg : this.get( arg ),
+			    uri      = this.uri === null ? "" : this.uri,
+			    deferred = promise.factory(),
+			    i        = 0,
+			    nth      = 0,
+			    build, complete, deferred2, setup;
+
+			if ( record === undefined ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			this.crawled = true;
+
+			deferred2 = deferred.then( function ( arg ) {
+				return arg;
+			});
+
+			/**
+			 * Concats URIs together
+			 * 
+			 * @method build
+			 * @param  {String} entity Entity URI
+			 * @param  {String} store  Data store URI
+			 * @return {String}        URI
+			 */
+			build = function ( entity, store ) {
+				var result = "",
+				    parsed;
+
+				if ( /\/\//.test( entity ) ) {
+					result = entity;
+				}
+				else if ( entity.charAt( 0 ) === "/" && store.charAt( 0 ) !== "/" ) {
+					parsed = utility.parse( store );
+					result = parsed.protocol + "//" + parsed.host + entity;
+				}
+				else result = entity;
+
+				return result;
+			};
+
+			/**
+			 * Crawl complete handler
+			 * 
+			 * @method complete
+			 * @return {Undefined} undefined
+			 */
+			complete = function () {
+				if ( ++i === nth ) {
+					deferred.resolve( nth );
+				}
+			};
+
+			/**
+			 * Sets up a data store
+			 *
+			 * Possibly a subset of the collection, so it relies on valid URI paths
+			 * 
+			 * @method setup
+			 * @param  {String} key Record key
+			 * @return {Object}     Data store
+			 */
+			setup = function ( key, self ) {
+				var obj = {};
+
+				if ( !array.contains( self.collections, key ) ) {
+					self.collections.push( key );
+				}
+
+				obj = data.decorator( {id: record.key + "-" + key}, null, {key: self.key, pointer: self.pointer, source: self.source, ignore: utility.clone( self.ignore ), leafs: utility.clone( self.leafs ), depth: self.depth + 1, maxDepth: self.maxDepth} );
+				obj.data.headers = utility.merge( obj.data.headers, self.headers );
+
+				if ( !array.contains( self.leafs, key ) && self.recursive && self.retrieve && ( obj.data.maxDepth === 0 || obj.data.depth < obj.data.maxDepth ) ) {
+					obj.data.recursive = true;
+					obj.data.retrieve  = true;
+				}
+
+				return obj;
+			};
+
+			// Depth of recursion is controled by `maxDepth`
+			utility.iterate( record.data, function ( v, k ) {
+				var deferred, store, parsed;
+
+				if ( array.contains( self.ignore, k ) || array.contains( self.leafs, k ) || self.depth >= self.maxDepth || ( !( v instanceof Array ) && typeof v !== "string" ) ) {
+					return;
+				}
+
+				nth      = array.cast( record.data ).length;
+				deferred = promise.factory();
+				deferred.then( function ( arg ) {
+					if ( events ) {
+						observer.fire( record.data[k], "afterDataRetrieve", arg );
+					}
+
+					complete();
+				}, function ( e ) {
+					if ( events) {
+						observer.fire( record.data[k], "failedDataRetrieve", e );
+					}
+
+					complete();
+				});
+
+				if ( ( v instanceof Array ) && v.length > 0 ) {
+					record.data[k] = setup( k, self );
+
+					if ( typeof v[0] === "string" ) {
+						array.each( v, function ( i, idx ) {
+							v[idx] = build( i, uri );
+						});
+					}
+
+					record.data[k].data.batch( "set", v, true, undefined )
+					                   .then( function ( arg ) {
+					                   		deferred.resolve( arg );
+					                   	}, function ( e ) {
+					                   		deferred.reject( e );
+					                   	});
+				}
+				// If either condition is satisified it's assumed that "v" is a URI because it's not ignored
+				else if ( v.charAt( 0 ) === "/" || v.indexOf( "//" ) > -1 ) {
+					record.data[k] = setup( k, self );
+					v = build( v, uri );
+					record.data[k].data.setUri( v )
+					                   .then( function ( arg ) {
+					                   		deferred.resolve( arg );
+					                   	}, function ( e ) {
+					                   		deferred.reject( e );
+					                   	});
+				}
+			});
+
+			return deferred2;
+		},
+
+		/**
+		 * Deletes a record based on key or index
+		 *
+		 * Events: beforeDataDelete  Fires before the record is deleted
+		 *         afterDataDelete   Fires after the record is deleted
+		 *         failedDataDelete  Fires if the store is RESTful and the action is denied
+		 *         conflictDataSet   Fires if the server has a newer version of the record ( 412 ), see conflict()
+		 *
+		 * RESTful stores send the record's version ( see version() ), & queue the DELETE in offline mode ( see queueable() )
+		 *
+		 * @method del
+		 * @param  {Mixed}   record  Record key or index
+		 * @param  {Boolean} reindex Default is true, will re-index the data object after deletion
+		 * @param  {Boolean} batch   [Optional] True if called by data.batch
+		 * @return {Object}          Promise
+		 */
+		del : function ( record, reindex, batch ) {
+			if ( record === undefined || !regex.number_string.test( typeof record ) ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			reindex      = ( reindex !== false );
+			batch        = ( batch === true );
+			var self     = this,
+			    events   = ( this.events === true ),
+			    deferred = promise.factory(),
+			    history  = ( !batch && this.maxHistory > 0 && !this.replaying ),
+			    deferred2, key, args, uri, p, prior;
+
+			deferred2 = deferred.then( function ( arg ) {
+				var record = self.get( arg.record );
+
+				if ( history ) {
+					self.track( [{key: arg.key, data: prior}] );
+				}
+
+				self.records.remove( self.keys[arg.key] );
+				delete self.keys[arg.key];
+				delete self.versions[arg.key];
+				self.unindexRecord( arg.key );
+				self.total--;
+				self.views = {};
+
+				utility.iterate( record.data, function ( v, k ) {
+					if ( v === null ) {
+						return;
+					}
+
+					if ( v.data !== undefined && typeof v.data.teardown === "function") {
+						v.data.teardown();
+					}
+				});
+
+				if ( arg.reindex ) {
+					self.reindex();
+				}
+
+				if ( !batch ) {
+					array.each( self.datalists, function ( i ) {
+						i.del( record );
+					});
+				}
+
+				if ( events ) {
+					observer.fire( self.parentNode, "afterDataDelete", record );
+				}
+			}, function ( e ) {
+				if ( events ) {
+					observer.fire( self.parentNode, "failedDataDelete", e );
+				}
+
+				throw e;
+			});
+
+			if ( typeof record === "string" ) {
+				key    = record;
+				record = this.keys[key];
+
+				if ( record === undefined ) {
+					throw Error( label.error.invalidArguments );
+				}
+			}
+			else {
+				key = this.records[record];
+
+				if ( key === undefined ) {
+					throw Error( label.error.invalidArguments );
+				}
+
+				key = key.key;
+			}
+
+			args   = {key: key, record: record, reindex: reindex};
+
+			if ( history ) {
+				prior = utility.clone( this.records[record].data );
+			}
+
+			if ( !batch && this.callback === null && this.uri !== null ) {
+				uri = this.uri + "/" + key;
+				p   = ( client.cors( uri ) || client.allows( uri, "delete" ) );
+			}
+
+			if ( events ) {
+				observer.fire( self.parentNode, "beforeDataDelete", args );
+			}
+
+			if ( batch || this.callback !== null || this.uri === null ) {
+				deferred.resolve( args );
+			}
+			else if ( this.queueable() ) {
+				this.enqueue( "delete", args );
+				deferred.resolve( args );
+			}
+			else if ( regex.true_undefined.test( p ) ) {
+				client.request(uri, "DELETE", function ( arg ) {
+					deferred.resolve( args );
+				}, function ( e, xhr ) {
+					// Precondition failed, the record was changed by someone else
+					if ( xhr !== null && xhr !== undefined && xhr.status === 412 ) {
+						self.conflict( key, null, uri, xhr ).then( function () {
+							deferred.reject( e );
+						});
+					}
+					else if ( self.queueable( xhr ) ) {
+						self.enqueue( "delete", args );
+						deferred.resolve( args );
+					}
+					else {
+						deferred.reject( e );
+					}
+				}, null, utility.merge( utility.merge( {withCredentials: this.credentials}, this.headers ), this.versions[key] || {} ) );
+			}
+			else {
+				deferred.reject( args );
+			}
+
+			return deferred2;
+		},
+
+		/**
+		 * Queues a write to send when connectivity returns ( see flush() ), and persists the queue if possible;
+		 * the queue is retried every `retry` milliseconds, after a sync(), and on "online" events
+		 *
+		 * New records get a temporary key, which is replaced by the server's when the write is sent
+		 *
+		 * @method enqueue
+		 * @param  {String} type Type of write ( set/delete )
+		 * @param  {Object} args Arguments of the write, from set() or del()
+		 * @return {Object}      Data store
+		 */
+		enqueue : function ( type, args ) {
+			var self    = this,
+			    id      = this.parentNode.id + "DataFlush",
+			    pending = null;
+
+			array.each( this.queue, function ( i ) {
+				if ( i.type === "post" && i.key === args.key ) {
+					pending = i;
+
+					return false;
+				}
+			});
+
+			if ( type === "set" && args.key === undefined ) {
+				args.key = utility.uuid();
+				this.queue.push( {type: "post", key: args.key, data: utility.clone( args.data )} );
+			}
+			else if ( type === "set" && pending !== null ) {
+				pending.data = utility.clone( args.data );
+			}
+			else if ( type === "set" ) {
+				this.queue.push( {type: "put", key: args.key, data: utility.clone( args.data )} );
+			}
+			// The server never received the record
+			else if ( pending !== null ) {
+				this.queue = this.queue.filter( function ( i ) {
+					return i.key !== args.key;
+				});
+			}
+			else {
+				this.queue.push( {type: "delete", key: args.key, version: this.versions[args.key]} );
+			}
+
+			if ( !server ) {
+				observer.add( global, "online", function () {
+					this.flush();
+				}, id, this );
+			}
+
+			if ( utility.timer[id] === undefined ) {
+				utility.defer( function () {
+					self.flush();
+				}, this.retry, id );
+			}
+
+			if ( typeof localStorage !== "undefined" ) {
+				this.storage( this.queue, "set" );
+			}
+
+			return this;
+		},
+
+		/**
+		 * Finds needle in the haystack
+		 *
+		 * @method find
+		 * @param  {Mixed}  needle    String, Number, RegExp Pattern or Function
+		 * @param  {String} haystack  [Optional] Commma delimited string of the field( s ) to search
+		 * @param  {String} modifiers [Optional] Regex modifiers, defaults to "gi" unless value is null
+		 * @return {Array}            Array of results
+		 */
+		find : function ( needle, haystack, modifiers ) {
+			if ( needle === undefined ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			var result = [],
+			    keys   = [],
+			    regex  = new RegExp(),
+			    fn     = typeof needle === "function";
+
+			// Blocking unnecessary ops
+			if ( this.total === 0 ) {
+				return result;
+			}
+
+			// Preparing parameters
+			if ( !fn ) {
+				needle = typeof needle === "string" ? string.explode( needle ) : [needle];
+
+				if ( modifiers === undefined || string.isEmpty( modifiers ) ) {
+					modifiers = "gi";
+				}
+				else if ( modifiers === null ) {
+					modifiers = "";
+				}
+			}
+
+			haystack = typeof haystack === "string" ? string.explode( haystack ) : null;
+
+			// No haystack, testing everything
+			if ( haystack === null ) {
+				array.each( this.records, function ( r ) {
+					if ( !fn ) {
+						utility.iterate( r.data, function ( v, k ) {
+							if ( array.contains( keys, r.key ) ) {
+								return false;
+							}
+
+							if ( v === null || typeof v.data === "object" ) {
+								return;
+							}
+
+							array.each( needle, function ( n ) {
+								utility.compile( regex, n, modifiers );
+
+								if ( regex.test( v ) ) {
+									keys.push( r.key );
+									result.push( r );
+
+									return false;
+								}
+							});
+						});
+					}
+					else if ( needle( r ) === true ) {
+						keys.push( r.key );
+						result.push( r );
+					}
+				});
+			}
+			// Looking through the haystack
+			else {
+				array.each( this.records, function ( r ) {
+					array.each( haystack, function ( h ) {
+						if ( array.contains( keys, r.key ) ) {
+							return false;
+						}
+
+						if ( r.data[h] === undefined || typeof r.data[h].data === "object" ) {
+							return;
+						}
+
+						if ( !fn ) {
+							array.each( needle, function ( n ) {
+								utility.compile( regex, n, modifiers );
+
+								if ( regex.test( r.data[h] ) ) {
+									keys.push( r.key );
+									result.push( r );
+
+									return false;
+								}
+							});
+						}
+						else if ( needle( r.data[h] ) === true ) {
+							keys.push( r.key );
+							result.push( r );
+
+							return false;
+						}
+					});
+				});
+			}
+
+			return result;
+		},
+
+		/**
+		 * Sends the writes queued in offline mode, in order; writes stay queued if the network fails, and are retried
+		 * after `retry` milliseconds
+		 *
+		 * Events: afterDataFlush   Fires after a queued write is sent, with {item, key}; `key` is the server's for new records
+		 *         failedDataFlush  Fires if the server rejects a queued write, with {item, error}; the write is dropped
+		 *
+		 * @method flush
+		 * @return {Object} Promise
+		 */
+		flush : function () {
+			var self     = this,
+			    events   = ( this.events === true ),
+			    deferred = promise.factory(),
+			    id       = this.parentNode.id + "DataFlush",
+			    persist, next;
+
+			// Sending the queue once at a time
+			if ( this.flushing !== null ) {
+				return this.flushing;
+			}
+
+			this.flushing = deferred;
+			utility.clearTimers( id );
+
+			persist = function () {
+				if ( typeof localStorage !== "undefined" ) {
+					self.storage( self.queue, "set" );
+				}
+			};
+
+			next = function () {
+				var item = self.queue[0],
+				    headers;
+
+				if ( item === undefined ) {
+					self.flushing = null;
+
+					return deferred.resolve( self );
+				}
+
+				headers = utility.merge( utility.merge( {withCredentials: self.credentials}, self.headers ), item.type !== "post" ? item.version || self.versions[item.key] || {} : {} );
+
+				client.request( item.type === "post" ? self.uri : self.uri + "/" + item.key, item.type.toUpperCase(), function ( arg, xhr ) {
+					var key = item.key,
+					    location;
+
+					self.queue.shift();
+
+					// Replacing the temporary key with the server's
+					if ( item.type === "post" ) {
+						location = xhr.getResponseHeader( "Location" );
+
+						if ( self.key !== null && arg instanceof Object && arg[self.key] !== undefined ) {
+							key = arg[self.key].toString();
+						}
+						else if ( typeof location === "string" && !string.isEmpty( location ) ) {
+							key = string.trim( location ).replace( regex.not_endpoint, "" );
+						}
+
+						self.rekey( item.key, key, arg instanceof Object ? arg : undefined );
+					}
+
+					if ( item.type !== "delete" ) {
+						self.version( key, xhr );
+					}
+
+					persist();
+
+					if ( events ) {
+						observer.fire( self.parentNode, "afterDataFlush", {item: item, key: key} );
+					}
+
+					next();
+				}, function ( e, xhr ) {
+					if ( xhr instanceof Object && ( xhr.status === 0 || xhr.status === 503 ) ) {
+						self.flushing = null;
+
+						utility.defer( function () {
+							self.flush();
+						}, self.retry, id );
+
+						deferred.reject( e );
+					}
+					else {
+						self.queue.shift();
+						persist();
+
+						if ( events ) {
+							observer.fire( self.parentNode, "failedDataFlush", {item: item, error: e} );
+						}
+
+						next();
+					}
+				}, item.type !== "delete" ? item.data : null, headers );
+			};
+
+			next();
+
+			return deferred;
+		},
+
+		/**
+		 * Generates a micro-format form from a record
+		 * 
+		 * If record is null, an empty form based on the first record is generated.
+		 * The submit action is data.set() which triggers a POST or PUT
+		 * from the data store.
+		 * 
+		 * @method form
+		 * @param  {Mixed}   record null, record, key or index
+		 * @param  {Object}  target Target HTML Element
+		 * @param  {Boolean} test   [Optional] Test form before setting values
+		 * @return {Object}         Generated HTML form
+		 */
+		form : function ( record, target, test ) {
+			test       = ( test !== false );
+			var empty  = ( record === null ),
+			    self   = this,
+			    events = ( this.events === true ),
+			    entity, obj, handler, structure, input, key, data;
+
+			if ( empty ) {
+				record = this.get( 0 );
+			}
+			else if ( !( record instanceof Object ) ) {
+				record = this.get( record );
+			}
+
+			if ( record === undefined ) {
+				throw Error( label.error.invalidArguments );
+			}
+			else if ( this.uri !== null && !client.cors ( this.uri ) && !client.allows( this.uri, "post" ) ) {
+				throw Error( label.error.serverInvalidMethod );
+			}
+
+			key  = record.key;
+			data = record.data;
+
+			if ( target !== undefined ) {
+				target = utility.object( target );
+			}
 
-			if ( !regex.set_del.test( type ) || ( sync && regex.del.test( type ) ) || typeof data !== "object" ) {
-				throw Error( label.error.invalidArguments );
+			if ( this.uri !== null ) {
+				entity = this.uri.replace( regex.not_endpoint, "" ).replace( /\?.*/, "" )
+
+				if ( string.isDomain( entity ) ) {
+					entity = entity.replace( /\..*/g, "" );
+				}
+			}
+			else {
+				entity = "record";
 			}
 
-			var self     = this,
-			    events   = ( this.events === true ),
-			    r        = 0,
-			    nth      = data.length,
-			    f        = false,
-			    deferred = promise.factory(),
-			    complete, deferred2, failure, key, set, del, success, parsed;
+			/**
+			 * Button handler
+			 * 
+			 * @method handler
+			 * @param  {Object} event Window event
+			 * @return {Undefined}    undefined
+			 */
+			handler = function ( e ) {
+				var form    = utility.target( e ).parentNode,
+				    nodes   = $( "#" + form.id + " input, #" + form.id + " select" ),
+				    entity  = nodes[0].name.match( /(.*)\[/ )[1],
+				    result  = true,
+				    newData = {};
 
-			deferred2 = deferred.then( function ( arg ) {
-				self.loaded = true;
+				utility.stop( e );
 
-				if ( regex.del.test( type ) ) {
-					self.reindex();
+				if ( test ) {
+					result = element.validate( form );
 				}
 
-				array.each( self.datalists, function ( i ) {
-					i.refresh( true );
-				});
+				switch ( result ) {
+					case true:
+						array.each( nodes, function ( i ) {
+							if ( i.type !== undefined && regex.input_button.test( i.type ) ) {
+								return;
+							}
 
-				if ( events ) {
-					observer.fire( self.parentNode, "afterDataBatch", arg );
+							utility.define( i.name.replace( "[", "." ).replace( "]", "" ), i.type === "checkbox" ? i.checked : i.value, newData );
+						});
+
+						self.set( key, newData[entity] ).then(function (arg) {
+							element.destroy( form );
+						}, function (e) {
+							element.destroy ( form );
+						});
+						break;
 				}
-			}, function ( e ) {
-				if ( events ) {
-					observer.fire( self.parentNode, "failedDataBatch", e );
+			};
+
+			/**
+			 * Creates the input of a field, described by the schema if possible
+			 *
+			 * @method input
+			 * @param  {Object} obj   Element
+			 * @param  {String} id    Element id
+			 * @param  {String} name  Input name
+			 * @param  {Mixed}  value Field value
+			 * @param  {Object} field [Optional] Field schema
+			 * @return {Undefined}    undefined
+			 */
+			input = function ( obj, id, name, value, field ) {
+				var args = {id: id, name: name, type: "text", value: empty || value === undefined ? "" : value},
+				    select;
+
+				if ( field === undefined ) {
+					return obj.create( "input", args );
 				}
 
-				throw e;
-			});
+				if ( field.required === true ) {
+					args.required = "required";
+				}
 
-			complete = function ( arg ) {
-				deferred.resolve( arg );
-			};
+				if ( field["enum"] instanceof Array ) {
+					select = obj.create( "select", {id: id, name: name} );
 
-			failure = function ( arg ) {
-				deferred.reject( arg );
-			};
+					array.each( field["enum"], function ( i ) {
+						var option = {value: i, innerHTML: i};
 
-			set = function ( arg, key ) {
-				var data     = utility.clone( arg ),
-				    deferred = promise.factory(),
-				    rec      = {};
+						if ( i === args.value ) {
+							option.selected = "selected";
+						}
 
-				if ( typeof data.batch !== "function" ) {
-					rec = data;
-				}
-				else {
-					utility.iterate( data, function ( v, k ) {
-						if ( !array.contains( self.collections, k ) ) rec[k] = v;
+						select.create( "option", option );
 					});
+
+					return;
 				}
 
-				if ( self.key !== null && rec[self.key] !== undefined ) {
-					key = rec[self.key];
-					delete rec[self.key];
+				switch ( true ) {
+					case field.type === "boolean":
+						args.type = "checkbox";
+
+						if ( args.value === true ) {
+							args.checked = "checked";
+						}
+						break;
+					case field.type === "date":
+						args.type = "date";
+						break;
+					case field.type === "number":
+						args.type = "number";
+						break;
+					case field.pattern === "email":
+					case field.pattern === "url":
+						args.type = field.pattern;
+						break;
+					case field.pattern === "phone":
+						args.type = "tel";
+						break;
 				}
 
-				deferred.then( function ( arg ) {
-					if ( ++r === nth ) complete( self.records );
-				}, function ( e ) {
-					if ( !f ) {
-						f = true;
-						failure( e );
+				if ( field.type === "number" && field.min !== undefined ) {
+					args.min = field.min;
+				}
+
+				if ( field.type === "number" && field.max !== undefined ) {
+					args.max = field.max;
+				}
+
+				obj.create( "input", args );
+			};
+
+			/**
+			 * Data structure in micro-format
+			 * 
+			 * @method structure
+			 * @param  {Object} record Data store record
+			 * @param  {Object} obj    Element
+			 * @param  {String} name   Property
+			 * @return {Undefined}     undefined
+			 */
+			structure = function ( record, obj, name ) {
+				var x, id;
+
+				utility.iterate( record, function ( v, k ) {
+					// Computed fields aren't editable
+					if ( name === entity && self.computed[k] !== undefined ) {
+						return;
+					}
+
+					if ( v instanceof Array ) {
+						x = 0;
+						array.each( v, function ( o ) {
+							structure( o, obj, name + "[" + k + "][" + ( x++ ) + "]" );
+						});
+					}
+					else if ( v instanceof Object ) {
+						structure( v, obj, name + "[" + k + "]" );
+					}
+					else {
+						id = ( name + "[" + k + "]" ).replace( /\[|\]/g, "" );
+						obj.create( "label", {"for": id, innerHTML: string.capitalize( k )} );
+						input( obj, id, name + "[" + k + "]", v, name === entity && self.schema !== null ? self.schema[k] : undefined );
 					}
 				});
+			};
 
-				if ( rec instanceof Array && self.uri !== null ) {
-					self.generate( key, undefined )
-					    .then( function ( arg ) {
-					    	deferred.resolve( arg );
-					     }, function ( e ) {
-					    	deferred.reject( e );
-					     });
-				}
-				else {
-					self.set( key, rec, true )
-					    .then( function ( arg ) {
-					    	deferred.resolve( arg );
-					     }, function ( e ) {
-					    	deferred.reject( e );
-					     });
-				}
+			// Fields of the schema are in the form, even if the record doesn't have them
+			if ( this.schema !== null ) {
+				data = utility.clone( data );
+
+				utility.iterate( this.schema, function ( v, k ) {
+					if ( data[k] === undefined ) {
+						data[k] = v["default"] !== undefined && typeof v["default"] !== "function" ? v["default"] : "";
+					}
+				});
+			}
+
+			obj = element.create( "form", { style: "display:none;"}, target );
+			structure( data, obj, entity );
+
+			observer.add( element.create( "input", {type: "button", value: label.common.submit}, obj ), "click", function ( e ) {
+				handler( e );
+			});
+
+			element.create( "input", {type: "reset", value: label.common.reset}, obj );
+			element.css( obj, "display", "inherit" );
+
+			return obj;  
+		},
+
+		/**
+		 * Generates a RESTful store ( replacing a record ) when consuming an API end point
+		 *
+		 * @param  {Object} key Record key
+		 * @param  {Mixed}  arg [Optional] Array or URI String
+		 * @return {Object}     Promise
+		 */
+		generate : function ( key, arg ) {
+			var self     = this,
+			    deferred = promise.factory(),
+			    params   = {},
+			    recs     = null,
+			    deferred2, fn, idx;
+			
+			params = {
+				depth     : this.depth + 1,
+				headers   : this.headers,
+				ignore    : array.clone( this.ignore ),
+				leafs     : array.clone( this.leafs ),
+				key       : this.key,
+				maxDepth  : this.maxDepth,
+				pointer   : this.pointer,
+				recursive : this.recursive,
+				retrieve  : this.retrieve,
+				source    : this.source
 			};
 
-			del = function ( i ) {
-				var deferred = promise.factory();
+			deferred2 = deferred.then( function (arg ) {
+				return arg;
+			}, function ( e ) {
+				throw e;
+			});
 
-				deferred.then( function ( arg ) {
-					if ( ++r === nth ) {
-						complete( arg );
+			fn = function () {
+				// Creating new child data store
+				if ( typeof arg === "object" ) {
+					recs = arg;
+				}
+
+				if ( params.maxDepth === 0 || params.depth <= params.maxDepth ) {
+					self.records[idx] = data.decorator( {id: key}, recs, params );
+					self.indexRecord( key, self.records[idx].data );
+
+					// Not batching in a data set
+					if ( recs === null ) {
+						// Constructing relational URI
+						if ( self.uri !== null && arg === undefined && !array.contains( self.leafs, key ) ) {
+							arg = self.uri + "/" + key;
+						}
+						
+						// Conditionally making the store RESTful
+						if ( arg !== undefined ) {
+							self.records[idx].data.setUri( arg )
+							                      .then( function (arg ) {
+							                      		deferred.resolve( arg );
+							                       }, function ( e ) {
+							                      		deferred.reject( e );
+							                       });
+						}
+						else {
+							deferred.resolve( self.records[idx].data.records );
+						}
 					}
+				}
+			}
+
+			// Create stub or teardown existing data store
+			if ( this.keys[key] !== undefined ) {
+				idx = this.keys[key];
+
+				if ( typeof this.records[idx].data.teardown === "function" ) {
+					this.records[idx].data.teardown();
+				}
+
+				fn();
+			}
+			else {
+				this.set( key, {}, true).then( function ( arg ) {
+					idx = self.keys[arg.key];
+					self.collections.add( arg.key );
+					fn();
+				});
+			}
+
+			return deferred2;
+		},
+
+		/**
+		 * Retrieves a record based on key or index
+		 *
+		 * If the key is an integer, cast to a string before sending as an argument!
+		 *
+		 * @method get
+		 * @param  {Mixed}  record Key, index or Array of pagination start & end; or comma delimited String of keys or indices
+		 * @param  {Number} offset [Optional] Offset from `record` for pagination
+		 * @return {Mixed}         Individual record, or Array of records
+		 */
+		get : function ( record, offset ) {
+			var records = this.records,
+			    type    = typeof record,
+			    self    = this,
+			    r;
 
-					return arg;
-				}, function ( arg ) {
-					if ( !f ) {
-						f = true;
-						failure( arg );
+			if ( type === "undefined" || record.toString().length === 0 ) {
+				r = records;
+			}
+			else if ( type === "string" && record.indexOf( "," ) > -1 ) {
+				r = [];
+				array.each( string.explode( record ), function ( i ) {
+					if ( !isNaN( i )) {
+						i = number.parse( i, 10 );
 					}
 
-					return arg;
+					r.push( self.get( i ) );
 				});
-
-				self.del( i, false, true )
-				    .then( function ( arg ) {
-				    	deferred.resolve( arg );
-				     }, function ( e ) {
-				    	deferred.reject( e );
-				     });
-			};
-
-			if ( events ) {
-				observer.fire( self.parentNode, "beforeDataBatch", data );
 			}
-
-			if ( sync ) {
-				this.clear( sync );
+			else if ( type === "string" && this.keys[record] !== undefined ) {
+				r = records[this.keys[record]];
 			}
-
-			if ( data.length === 0 ) {
-				complete( [] );
+			else if ( type === "number" && offset === undefined) {
+				r = records[number.parse( record, 10 )];
+			}
+			else if ( type === "number" && typeof offset === "number") {
+				r = records.limit( number.parse( record, 10 ), number.parse( offset, 10 ) );
 			}
-			else {
-				if ( type === "set" ) {
-					array.each( array.chunk( data, chunk ), function ( a, adx ) {
-						var offset = adx * chunk,
-						    id;
-
-						array.each( a, function ( i, idx ) {
-							if ( array.contains ( self.ignore, i ) || array.contains ( self.leafs, i ) ) {
-								id = i;
-								i  = {};
-							}
 
-							if ( typeof i === "object" ) {
-								set( i, id || utility.uuid() );
-							}
-							else if ( i.indexOf( "//" ) === -1 ) {
-								// Relative path to store, i.e. a child
-								if ( i.charAt( 0 ) !== "/" ) {
-									i = self.uri + "/" + i;
-								}
+			return r;
+		},
 
-								// Root path, relative to store, i.e. a domain
-								else if ( self.uri !== null && regex.root.test( i ) ) {
-									parsed = utility.parse( self.uri );
-									i      = parsed.protocol + "//" + parsed.host + i;
-								}
+		/**
+		 * Creates an index of one or more fields, used by select() for equality lookups & by unique()
+		 *
+		 * Indexes are maintained by set(), del(), batch() & reindex(), so records must not be mutated directly
+		 *
+		 * @method index
+		 * @param  {Mixed} fields Comma delimited String or Array of fields, e.g. "status,ownerId"
+		 * @return {Object}       Data store
+		 */
+		index : function ( fields ) {
+			var self = this,
+			    name, idx;
 
-								idx = i.replace( regex.not_endpoint, "" );
+			fields = typeof fields === "string" ? string.explode( fields ) : fields;
 
-								if ( string.isEmpty( idx ) ) {
-									return;
-								}
+			if ( !( fields instanceof Array ) || fields.length === 0 ) {
+				throw Error( label.error.invalidArguments );
+			}
 
-								client.request( i, "GET", function ( arg ) {
-									set( self.source === null ? arg : utility.walk( arg, self.source ), idx );
-								}, failure, utility.merge( {withCredentials: self.credentials}, self.headers ) );
-							}
-							else {
-								idx = i.replace( regex.not_endpoint, "" );
+			name = fields.join( "," );
 
-								if ( string.isEmpty( idx ) ) {
-									return;
-								}
+			if ( this.indexes[name] === undefined ) {
+				idx = this.indexes[name] = {fields: fields, keys: {}, other: {}, values: {}};
 
-								client.request( i, "GET", function ( arg ) {
-									set( self.source === null ? arg : utility.walk( arg, self.source ), idx );
-								}, failure, utility.merge( {withCredentials: self.credentials}, self.headers) );
-							}
-						});
-					});
-				}
-				else {
-					array.each( data.sort( array.sort ).reverse(), function ( i ) {
-						del( i );
-					});
-				}
+				array.each( this.records, function ( i ) {
+					self.indexRecord( i.key, i.data, idx );
+				});
 			}
 
-			return deferred2;
+			return this;
 		},
 
 		/**
-		 * Clears the data object, unsets the uri property
+		 * Sets the entries of a record in the indexes, replacing its previous entries
 		 *
-		 * Events: beforeDataClear  Fires before the data is cleared
-		 *         afterDataClear   Fires after the data is cleared
+		 * Computed fields are evaluated first, unless a single index is updated
 		 *
-		 * @method clear
-		 * @param  {Boolean} sync    [Optional] Boolean to limit clearing of properties
-		 * @return {Object}          Data store
+		 * @method indexRecord
+		 * @param  {String} key Record key
+		 * @param  {Object} obj Record data
+		 * @param  {Object} idx [Optional] Index to update, default is every index
+		 * @return {Object}     Data store
 		 */
-		clear : function ( sync ) {
-			sync       = ( sync === true );
-			var events = ( this.events === true );
+		indexRecord : function ( key, obj, idx ) {
+			var self = this;
 
-			if ( !sync ) {
-				if ( events ) {
-					observer.fire( this.parentNode, "beforeDataClear" );
-				}
+			if ( idx === undefined ) {
+				utility.iterate( this.computed, function ( fn, k ) {
+					obj[k] = fn.call( self, obj, key );
+				});
+			}
 
-				this.callback    = null;
-				this.collections = [];
-				this.crawled     = false;
-				this.credentials = null;
-				this.datalists   = [];
-				this.depth       = 0;
-				this.events      = true;
-				this.expires     = null;
-				this.headers     = {Accept: "application/json"};
-				this.ignore      = [];
-				this.key         = null;
-				this.keys        = {};
-				this.leafs       = [];
-				this.loaded      = false;
-				this.maxDepth    = 0;
-				this.pointer     = null;
-				this.records     = [];
-				this.recursive   = false;
-				this.retrieve    = false;
-				this.source      = null;
-				this.total       = 0;
-				this.views       = {};
-				this.uri         = null;
+			array.each( idx !== undefined ? [idx] : array.cast( this.indexes ), function ( i ) {
+				var values = [],
+				    value;
 
-				if ( events ) {
-					observer.fire( this.parentNode, "afterDataClear" );
+				array.each( i.fields, function ( f ) {
+					values.push( data.field( obj, f ) );
+				});
+
+				value = data.indexValue( values );
+
+				self.unindexRecord( key, i );
+
+				if ( value === null ) {
+					i.other[key] = true;
 				}
-			}
-			else {
-				this.collections = [];
-				this.crawled     = false;
-				this.keys        = {};
-				this.loaded      = false;
-				this.records     = [];
-				this.total       = 0;
-				this.views       = {};
-			}
+				else {
+					if ( i.values[value] === undefined ) {
+						i.values[value] = {keys: {}, total: 0};
+					}
+
+					i.values[value].keys[key] = true;
+					i.values[value].total++;
+					i.keys[key] = value;
+				}
+			});
 
 			return this;
 		},
 
 		/**
-		 * Crawls a record's properties and creates data stores when URIs are detected
+		 * Joins the records of another store by foreign key; records without a match are excluded, and records
+		 * with many matches are repeated
 		 *
-		 * Events: afterDataRetrieve  Fires after the store has retrieved all data from crawling
-		 *         failedDataRetrieve Fires if an exception occurs
-		 * 
-		 * @method crawl
-		 * @param  {Mixed}  arg Record, key or index
-		 * @return {Object}     Promise
+		 * The view is cached until either store changes ( see link() ); use relate() to resolve related records
+		 * in DataList templates
+		 *
+		 * @example
+		 * orders.join( customers.data, "customerId" ); // [{key: "1", data: {customerId: 5, total: 20, customer: {name: "Jason"}}}]
+		 *
+		 * @method join
+		 * @param  {Object} store   DataStore to join
+		 * @param  {String} local   Field of this store's records ( the key is this store's key )
+		 * @param  {String} foreign [Optional] Field of the other store's records, defaults to its key
+		 * @param  {String} name    [Optional] Property of the joined record, defaults to `local` without "Id"
+		 * @return {Array}          View of joined records
 		 */
-		crawl : function ( arg ) {
-			var self     = this,
-			    events   = ( this.events === true ),
-			    record   = ( arg instanceof Object ) ? arg : this.get( arg ),
-			    uri      = this.uri === null ? "" : this.uri,
-			    deferred = promise.factory(),
-			    i        = 0,
-			    nth      = 0,
-			    build, complete, deferred2, setup;
+		join : function ( store, local, foreign, name ) {
+			var self   = this,
+			    result = [],
+			    view;
 
-			if ( record === undefined ) {
+			if ( !( store instanceof DataStore ) || typeof local !== "string" ) {
 				throw Error( label.error.invalidArguments );
 			}
 
-			this.crawled = true;
+			foreign = foreign || store.key;
+			name    = name    || local.replace( regex.foreign_key, "" ) || store.parentNode.id;
+			view    = "join:" + [store.parentNode.id, local, foreign, name].join( ":" );
 
-			deferred2 = deferred.then( function ( arg ) {
-				return arg;
-			});
+			if ( this.views[view] !== undefined ) {
+				return this.views[view];
+			}
 
-			/**
-			 * Concats URIs together
-			 * 
-			 * @method build
-			 * @param  {String} entity Entity URI
-			 * @param  {String} store  Data store URI
-			 * @return {String}        URI
-			 */
-			build = function ( entity, store ) {
-				var result = "",
-				    parsed;
+			array.each( this.records, function ( i ) {
+				array.each( data.lookup( store, foreign, local === self.key ? i.key : data.field( i.data, local ) ), function ( r ) {
+					var obj = utility.clone( i.data );
 
-				if ( /\/\//.test( entity ) ) {
-					result = entity;
-				}
-				else if ( entity.charAt( 0 ) === "/" && store.charAt( 0 ) !== "/" ) {
-					parsed = utility.parse( store );
-					result = parsed.protocol + "//" + parsed.host + entity;
-				}
-				else result = entity;
+					obj[name] = r;
+					result.push( {key: i.key, data: obj} );
+				});
+			});
 
-				return result;
-			};
+			this.link( store );
+			this.views[view] = result;
 
-			/**
-			 * Crawl complete handler
-			 * 
-			 * @method complete
-			 * @return {Undefined} undefined
-			 */
-			complete = function () {
-				if ( ++i === nth ) {
-					deferred.resolve( nth );
+			return result;
+		},
+
+		/**
+		 * Recomputes the records related to a record of another store & refreshes the DataLists when the other store
+		 * fires `afterDataSet` or `afterDataDelete`; records set or deleted by a batch of the other store are
+		 * recomputed once, when the batch settles
+		 *
+		 * @method link
+		 * @param  {Object} store Related DataStore
+		 * @return {Object}       Data store
+		 */
+		link : function ( store ) {
+			var self    = this,
+			    batches = 0,
+			    pending = [],
+			    changed, refresh;
+
+			// Queues the foreign values of a record, before & after it changes
+			changed = function ( record ) {
+				if ( record === undefined || batches > 0 ) {
+					return;
 				}
+
+				utility.iterate( self.relations, function ( v ) {
+					if ( v.store === store ) {
+						pending.push( v.foreign === store.key ? {local: v.local, value: record.key, key: true} : {local: v.local, value: data.field( record.data, v.foreign ), key: false} );
+					}
+				});
 			};
 
-			/**
-			 * Sets up a data store
-			 *
-			 * Possibly a subset of the collection, so it relies on valid URI paths
-			 * 
-			 * @method setup
-			 * @param  {String} key Record key
-			 * @return {Object}     Data store
-			 */
-			setup = function ( key, self ) {
-				var obj = {};
+			// Recomputes the records with a local value in `pending`, or every record
+			refresh = function ( all ) {
+				var found = {};
 
-				if ( !array.contains( self.collections, key ) ) {
-					self.collections.push( key );
+				if ( all ) {
+					self.reindex();
 				}
+				else {
+					array.each( pending, function ( i ) {
+						var where = {},
+						    record;
 
-				obj = data.decorator( {id: record.key + "-" + key}, null, {key: self.key, pointer: self.pointer, source: self.source, ignore: utility.clone( self.ignore ), leafs: utility.clone( self.leafs ), depth: self.depth + 1, maxDepth: self.maxDepth} );
-				obj.data.headers = utility.merge( obj.data.headers, self.headers );
-
-				if ( !array.contains( self.leafs, key ) && self.recursive && self.retrieve && ( obj.data.maxDepth === 0 || obj.data.depth < obj.data.maxDepth ) ) {
-					obj.data.recursive = true;
-					obj.data.retrieve  = true;
-				}
+						if ( i.value === undefined || i.value === null || i.value instanceof Object ) {
+							return;
+						}
 
-				return obj;
-			};
+						if ( i.local === self.key ) {
+							record = self.get( i.value.toString() );
 
-			// Depth of recursion is controled by `maxDepth`
-			utility.iterate( record.data, function ( v, k ) {
-				var deferred, store, parsed;
+							if ( record !== undefined ) {
+								found[record.key] = record;
+							}
+						}
+						else {
+							// Keys are Strings, so they're compared as Strings like data.lookup()
+							where[i.local] = i.key ? function ( arg ) {
+								return arg !== undefined && arg !== null && arg.toString() === i.value;
+							} : i.value;
 
-				if ( array.contains( self.ignore, k ) || array.contains( self.leafs, k ) || self.depth >= self.maxDepth || ( !( v instanceof Array ) && typeof v !== "string" ) ) {
-					return;
-				}
+							array.each( self.select( where ), function ( r ) {
+								found[r.key] = r;
+							});
+						}
+					});
 
-				nth      = array.cast( record.data ).length;
-				deferred = promise.factory();
-				deferred.then( function ( arg ) {
-					if ( events ) {
-						observer.fire( record.data[k], "afterDataRetrieve", arg );
-					}
+					utility.iterate( found, function ( r ) {
+						self.indexRecord( r.key, r.data );
+					});
 
-					complete();
-				}, function ( e ) {
-					if ( events) {
-						observer.fire( record.data[k], "failedDataRetrieve", e );
-					}
+					self.views = {};
+				}
 
-					complete();
+				pending = [];
+
+				array.each( self.datalists, function ( i ) {
+					i.refresh();
 				});
+			};
 
-				if ( ( v instanceof Array ) && v.length > 0 ) {
-					record.data[k] = setup( k, self );
+			observer.add( store.parentNode, "beforeDataBatch", function () {
+				batches++;
+			}, this.parentNode.id + "DataLinkBatch", this );
 
-					if ( typeof v[0] === "string" ) {
-						array.each( v, function ( i, idx ) {
-							v[idx] = build( i, uri );
-						});
-					}
+			observer.add( store.parentNode, "afterDataBatch, failedDataBatch", function () {
+				if ( batches > 0 ) {
+					batches--;
+				}
 
-					record.data[k].data.batch( "set", v, true, undefined )
-					                   .then( function ( arg ) {
-					                   		deferred.resolve( arg );
-					                   	}, function ( e ) {
-					                   		deferred.reject( e );
-					                   	});
+				if ( batches === 0 ) {
+					refresh( true );
 				}
-				// If either condition is satisified it's assumed that "v" is a URI because it's not ignored
-				else if ( v.charAt( 0 ) === "/" || v.indexOf( "//" ) > -1 ) {
-					record.data[k] = setup( k, self );
-					v = build( v, uri );
-					record.data[k].data.setUri( v )
-					                   .then( function ( arg ) {
-					                   		deferred.resolve( arg );
-					                   	}, function ( e ) {
-					                   		deferred.reject( e );
-					                   	});
+			}, this.parentNode.id + "DataLinkBatched", this );
+
+			observer.add( store.parentNode, "beforeDataSet, beforeDataDelete", function ( arg ) {
+				if ( arg.key !== undefined && arg.key !== null ) {
+					changed( store.get( arg.key.toString() ) );
 				}
-			});
+			}, this.parentNode.id + "DataLinkBefore", this );
 
-			return deferred2;
+			observer.add( store.parentNode, "afterDataSet, afterDataDelete", function ( arg ) {
+				if ( batches === 0 ) {
+					changed( arg );
+					refresh( false );
+				}
+			}, this.parentNode.id + "DataLink", this );
+
+			return this;
 		},
 
 		/**
-		 * Deletes a record based on key or index
+		 * Merges records from the server by key; changed & new records are set, and missing records are deleted
+		 * unless `partial`, so records fire their own events instead of the data store being cleared
 		 *
-		 * Events: beforeDataDelete  Fires before the record is deleted
-		 *         afterDataDelete   Fires after the record is deleted
-		 *         failedDataDelete  Fires if the store is RESTful and the action is denied
+		 * Records with a truthy `tombstone` field are deleted, which is how a `partial` response removes records
 		 *
-		 * @method del
-		 * @param  {Mixed}   record  Record key or index
-		 * @param  {Boolean} reindex Default is true, will re-index the data object after deletion
-		 * @param  {Boolean} batch   [Optional] True if called by data.batch
+		 * @method merge
+		 * @param  {Array}   arg     Records
+		 * @param  {Boolean} partial [Optional] True if `arg` only has the changed records ( see sync() )
 		 * @return {Object}          Promise
 		 */
-		del : function ( record, reindex, batch ) {
-			if ( record === undefined || !regex.number_string.test( typeof record ) ) {
-				throw Error( label.error.invalidArguments );
-			}
-
-			reindex      = ( reindex !== false );
-			batch        = ( batch === true );
+		merge : function ( arg, partial ) {
 			var self     = this,
-			    events   = ( this.events === true ),
 			    deferred = promise.factory(),
-			    deferred2, key, args, uri, p;
-
-			deferred2 = deferred.then( function ( arg ) {
-				var record = self.get( arg.record );
+			    found    = {},
+			    dead     = {},
+			    ops      = [],
+			    deleted  = false,
+			    next;
+
+			array.each( arg, function ( i ) {
+				var rec = utility.clone( i ),
+				    key = rec[self.key],
+				    record, current;
+
+				if ( key !== undefined && key !== null ) {
+					key = key.toString();
+					delete rec[self.key];
 
-				self.records.remove( self.keys[arg.key] );
-				delete self.keys[arg.key];
-				self.total--;
-				self.views = {};
+					if ( self.tombstone !== null && rec[self.tombstone] ) {
+						dead[key] = true;
 
-				utility.iterate( record.data, function ( v, k ) {
-					if ( v === null ) {
 						return;
 					}
 
-					if ( v.data !== undefined && typeof v.data.teardown === "function") {
-						v.data.teardown();
-					}
-				});
-
-				if ( arg.reindex ) {
-					self.reindex();
+					found[key] = true;
+					record = self.get( key );
+				}
+				else {
+					key = undefined;
 				}
 
-				if ( !batch ) {
-					array.each( self.datalists, function ( i ) {
-						i.del( record );
+				// Skipping records which haven't changed
+				if ( record !== undefined ) {
+					current = utility.clone( record.data );
+
+					utility.iterate( self.computed, function ( v, k ) {
+						delete current[k];
 					});
-				}
 
-				if ( events ) {
-					observer.fire( self.parentNode, "afterDataDelete", record );
-				}
-			}, function ( e ) {
-				if ( events ) {
-					observer.fire( self.parentNode, "failedDataDelete", e );
+					if ( json.diff( current, rec ).length === 0 ) {
+						return;
+					}
 				}
 
-				throw e;
-			});
+				ops.push( function () {
+					return self.set( key, rec, true, true ).then( function () {
+						var record = self.get( key );
 
-			if ( typeof record === "string" ) {
-				key    = record;
-				record = this.keys[key];
+						// Removing the fields which aren't in the server's record
+						if ( record !== undefined && current !== undefined ) {
+							utility.iterate( current, function ( v, k ) {
+								if ( !rec.hasOwnProperty( k ) ) {
+									delete record.data[k];
+								}
+							});
 
-				if ( record === undefined ) {
-					throw Error( label.error.invalidArguments );
-				}
-			}
-			else {
-				key = this.records[record];
+							self.indexRecord( key, record.data );
+						}
+					});
+				});
+			});
 
-				if ( key === undefined ) {
-					throw Error( label.error.invalidArguments );
+			// Deleting from the end without reindexing, so the positions of the remaining records don't change
+			array.each( this.records.slice().reverse(), function ( i ) {
+				if ( partial === true ? dead[i.key] === true : !found[i.key] ) {
+					ops.push( function () {
+						deleted = true;
+
+						return self.del( i.key, false, true );
+					});
 				}
+			});
 
-				key = key.key;
-			}
+			// Applying the changes in order, because deletions move records
+			next = function ( i ) {
+				if ( i === ops.length ) {
+					if ( deleted ) {
+						self.reindex();
+					}
 
-			args   = {key: key, record: record, reindex: reindex};
+					if ( ops.length > 0 ) {
+						self.views = {};
 
-			if ( !batch && this.callback === null && this.uri !== null ) {
-				uri = this.uri + "/" + key;
-				p   = ( client.cors( uri ) || client.allows( uri, "delete" ) );
-			}
+						array.each( self.datalists, function ( i ) {
+							i.refresh( true );
+						});
+					}
 
-			if ( events ) {
-				observer.fire( self.parentNode, "beforeDataDelete", args );
-			}
+					deferred.resolve( self.records );
+				}
+				else {
+					ops[i]().then( function () {
+						next( i + 1 );
+					}, function ( e ) {
+						deferred.reject( e );
+					});
+				}
+			};
 
-			if ( batch || this.callback !== null || this.uri === null ) {
-				deferred.resolve( args );
-			}
-			else if ( regex.true_undefined.test( p ) ) {
-				client.request(uri, "DELETE", function ( arg ) {
-					deferred.resolve( args );
-				}, function ( e ) {
-					deferred.reject( e );
-				}, utility.merge( {withCredentials: this.credentials}, this.headers) );
-			}
-			else {
-				deferred.reject( args );
-			}
+			next( 0 );
 
-			return deferred2;
+			return deferred;
 		},
 
 		/**
-		 * Finds needle in the haystack
+		 * Loads the next page of records from the server ( see paginate() )
 		 *
-		 * @method find
-		 * @param  {Mixed}  needle    String, Number, RegExp Pattern or Function
-		 * @param  {String} haystack  [Optional] Commma delimited string of the field( s ) to search
-		 * @param  {String} modifiers [Optional] Regex modifiers, defaults to "gi" unless value is null
-		 * @return {Array}            Array of results
+		 * Events: afterDataPage  Fires after a page is loaded, {page, records, next} is the argument for listeners
+		 *         failedDataPage Fires if the page can't be loaded
+		 *
+		 * @method more
+		 * @return {Object} Promise, resolved with the records of the page
 		 */
-		find : function ( needle, haystack, modifiers ) {
-			if ( needle === undefined ) {
-				throw Error( label.error.invalidArguments );
-			}
+		more : function () {
+			var self     = this,
+			    events   = ( this.events === true ),
+			    deferred = promise.factory(),
+			    uri      = this.nextPage,
+			    failure;
 
-			var result = [],
-			    keys   = [],
-			    regex  = new RegExp(),
-			    fn     = typeof needle === "function";
+			if ( uri === null ) {
+				deferred.resolve( [] );
 
-			// Blocking unnecessary ops
-			if ( this.total === 0 ) {
-				return result;
+				return deferred;
 			}
 
-			// Preparing parameters
-			if ( !fn ) {
-				needle = typeof needle === "string" ? string.explode( needle ) : [needle];
+			failure = function ( e ) {
+				self.nextPage = uri;
 
-				if ( modifiers === undefined || string.isEmpty( modifiers ) ) {
-					modifiers = "gi";
-				}
-				else if ( modifiers === null ) {
-					modifiers = "";
+				if ( events ) {
+					observer.fire( self.parentNode, "failedDataPage", e );
 				}
-			}
 
-			haystack = typeof haystack === "string" ? string.explode( haystack ) : null;
+				deferred.reject( e );
+			};
 
-			// No haystack, testing everything
-			if ( haystack === null ) {
-				array.each( this.records, function ( r ) {
-					if ( !fn ) {
-						utility.iterate( r.data, function ( v, k ) {
-							if ( array.contains( keys, r.key ) ) {
-								return false;
-							}
+			// Preventing the page from loading twice
+			this.nextPage = null;
 
-							if ( v === null || typeof v.data === "object" ) {
-								return;
-							}
+			client.request( uri, "GET", function ( arg, xhr ) {
+				var records, batch;
 
-							array.each( needle, function ( n ) {
-								utility.compile( regex, n, modifiers );
+				try {
+					records = data.unwrap( arg, self.source );
+				}
+				catch ( e ) {
+					return failure( e );
+				}
 
-								if ( regex.test( v ) ) {
-									keys.push( r.key );
-									result.push( r );
+				// Pages are server state, so they're not tracked
+				self.replaying = true;
 
-									return false;
-								}
-							});
-						});
-					}
-					else if ( needle( r ) === true ) {
-						keys.push( r.key );
-						result.push( r );
+				try {
+					batch = self.batch( "set", records );
+				}
+				finally {
+					self.replaying = false;
+				}
+
+				batch.then( function () {
+					self.pages++;
+					self.nextPage = self.paginate( arg, xhr, records );
+
+					if ( events ) {
+						observer.fire( self.parentNode, "afterDataPage", {page: self.pages, records: records, next: self.nextPage} );
 					}
-				});
-			}
-			// Looking through the haystack
-			else {
-				array.each( this.records, function ( r ) {
-					array.each( haystack, function ( h ) {
-						if ( array.contains( keys, r.key ) ) {
-							return false;
-						}
 
-						if ( r.data[h] === undefined || typeof r.data[h].data === "object" ) {
-							return;
-						}
+					deferred.resolve( records );
+				}, failure );
+			}, failure, null, utility.merge( {withCredentials: this.credentials}, this.headers ) );
 
-						if ( !fn ) {
-							array.each( needle, function ( n ) {
-								utility.compile( regex, n, modifiers );
+			return deferred;
+		},
 
-								if ( regex.test( r.data[h] ) ) {
-									keys.push( r.key );
-									result.push( r );
+		/**
+		 * Gets the URI of the page after a response, as described by `paging`:
+		 *
+		 * {type: "link"}                            Link header with rel="next"
+		 * {type: "body", field: "next"}             URI in the response
+		 * {type: "cursor", field, param: "cursor"}  Cursor in the response, sent as a query string parameter
+		 * {type: "page", param: "page", start: 1}   Page number sent as a query string parameter, until a page is empty
+		 *
+		 * `load` is "all" to follow every page on sync(), or "demand" to load pages with more(), e.g. by a DataList
+		 * paging past the loaded records
+		 *
+		 * @method paginate
+		 * @param  {Object} arg     Response
+		 * @param  {Object} xhr     [Optional] XMLHttpRequest
+		 * @param  {Array}  records Records of the response
+		 * @return {Mixed}          URI, or null if it's the last page
+		 */
+		paginate : function ( arg, xhr, records ) {
+			var paging = this.paging,
+			    uri    = null,
+			    header, value, parsed;
+
+			if ( paging === null || records.length === 0 ) {
+				return null;
+			}
 
-									return false;
-								}
-							});
-						}
-						else if ( needle( r.data[h] ) === true ) {
-							keys.push( r.key );
-							result.push( r );
+			switch ( paging.type ) {
+				case "link":
+					header = xhr !== null && xhr !== undefined && typeof xhr.getResponseHeader === "function" ? xhr.getResponseHeader( "Link" ) : null;
+					value  = typeof header === "string" ? regex.link_next.exec( header ) : null;
+					uri    = value !== null ? value[1] : null;
+					break;
+				case "body":
+					uri = data.field( arg, paging.field || "next" ) || null;
+					break;
+				case "cursor":
+					value = data.field( arg, paging.field || "cursor" );
 
-							return false;
-						}
-					});
-				});
+					if ( value !== undefined && value !== null && value !== "" ) {
+						uri = this.uri + ( this.uri.indexOf( "?" ) > -1 ? "&" : "?" ) + ( paging.param || "cursor" ) + "=" + encodeURIComponent( value );
+					}
+					break;
+				case "page":
+					uri = this.uri + ( this.uri.indexOf( "?" ) > -1 ? "&" : "?" ) + ( paging.param || "page" ) + "=" + ( ( paging.start || 1 ) + this.pages );
+					break;
+				default:
+					throw Error( label.error.invalidArguments );
 			}
 
-			return result;
+			// Resolving a relative URI
+			if ( typeof uri === "string" && uri.charAt( 0 ) === "/" && uri.charAt( 1 ) !== "/" ) {
+				parsed = utility.parse( this.uri );
+				uri    = parsed.protocol + "//" + parsed.host + uri;
+			}
+
+			return typeof uri === "string" ? uri : null;
 		},
 
 		/**
-		 * Generates a micro-format form from a record
-		 * 
-		 * If record is null, an empty form based on the first record is generated.
-		 * The submit action is data.set() which triggers a POST or PUT
-		 * from the data store.
+		 * Purges data store or record from localStorage
 		 * 
-		 * @method form
-		 * @param  {Mixed}   record null, record, key or index
-		 * @param  {Object}  target Target HTML Element
-		 * @param  {Boolean} test   [Optional] Test form before setting values
-		 * @return {Object}         Generated HTML form
+		 * @param  {Mixed} arg  [Optional] String or Number for record
+		 * @return {Object}     Record or store
 		 */
-		form : function ( record, target, test ) {
-			test       = ( test !== false );
-			var empty  = ( record === null ),
-			    self   = this,
-			    events = ( this.events === true ),
-			    entity, obj, handler, structure, key, data;
+		purge : function ( arg ) {
+			return this.storage( arg || this, "remove" );
+		},
 
-			if ( empty ) {
-				record = this.get( 0 );
-			}
-			else if ( !( record instanceof Object ) ) {
-				record = this.get( record );
-			}
+		/**
+		 * Queries the data store with an SQL ( style ) query ( see data.parse() ), e.g.
+		 * "SELECT name, email WHERE age >= 21 AND status = 'active' ORDER BY name desc LIMIT 10 OFFSET 20"
+		 *
+		 * Results are cached in the views until the store changes; records are projected to the selected fields
+		 *
+		 * @method query
+		 * @param  {String} arg Query
+		 * @return {Array}      Records
+		 */
+		query : function ( arg ) {
+			var view = "query:" + arg,
+			    result, keys, parsed;
 
-			if ( record === undefined ) {
+			if ( typeof arg !== "string" || string.isEmpty( arg ) ) {
 				throw Error( label.error.invalidArguments );
 			}
-			else if ( this.uri !== null && !client.cors ( this.uri ) && !client.allows( this.uri, "post" ) ) {
-				throw Error( label.error.serverInvalidMethod );
+
+			if ( this.views[view] instanceof Array ) {
+				return this.views[view];
 			}
 
-			key  = record.key;
-			data = record.data;
+			parsed = data.parse( arg );
 
-			if ( target !== undefined ) {
-				target = utility.object( target );
-			}
+			if ( parsed.order !== null ) {
+				result = this.total > 0 ? this.sort( parsed.order ) : [];
 
-			if ( this.uri !== null ) {
-				entity = this.uri.replace( regex.not_endpoint, "" ).replace( /\?.*/, "" )
+				if ( parsed.where !== null ) {
+					keys = {};
 
-				if ( string.isDomain( entity ) ) {
-					entity = entity.replace( /\..*/g, "" );
+					array.each( this.select( parsed.where ), function ( i ) {
+						keys[i.key] = true;
+					});
+
+					result = result.filter( function ( i ) {
+						return keys[i.key] === true;
+					});
 				}
 			}
 			else {
-				entity = "record";
+				result = parsed.where !== null ? this.select( parsed.where ) : this.records.slice();
 			}
 
-			/**
-			 * Button handler
-			 * 
-			 * @method handler
-			 * @param  {Object} event Window event
-			 * @return {Undefined}    undefined
-			 */
-			handler = function ( e ) {
-				var form    = utility.target( e ).parentNode,
-				    nodes   = $( "#" + form.id + " input" ),
-				    entity  = nodes[0].name.match( /(.*)\[/ )[1],
-				    result  = true,
-				    newData = {};
+			if ( parsed.offset > 0 || parsed.limit !== null ) {
+				result = array.limit( result, parsed.offset, parsed.limit !== null ? parsed.limit : result.length );
+			}
 
-				utility.stop( e );
+			if ( parsed.fields !== null ) {
+				result = result.map( function ( i ) {
+					var record = {key: i.key, data: {}};
 
-				if ( test ) {
-					result = element.validate( form );
-				}
+					array.each( parsed.fields, function ( f ) {
+						record.data[f] = data.field( i.data, f );
+					});
 
-				switch ( result ) {
-					case true:
-						array.each( nodes, function ( i ) {
-							if ( i.type !== undefined && regex.input_button.test( i.type ) ) {
-								return;
-							}
+					return record;
+				});
+			}
 
-							utility.define( i.name.replace( "[", "." ).replace( "]", "" ), i.value, newData );
-						});
+			this.views[view] = result;
 
-						self.set( key, newData[entity] ).then(function (arg) {
-							element.destroy( form );
-						}, function (e) {
-							element.destroy ( form );
-						});
-						break;
-				}
-			};
+			return result;
+		},
 
-			/**
-			 * Data structure in micro-format
-			 * 
-			 * @method structure
-			 * @param  {Object} record Data store record
-			 * @param  {Object} obj    Element
-			 * @param  {String} name   Property
-			 * @return {Undefined}     undefined
-			 */
-			structure = function ( record, obj, name ) {
-				var x, id;
+		/**
+		 * Determines if a write should be queued ( offline mode ), because writes are pending, the client is
+		 * offline, or the request failed without a response ( or 503 Service Unavailable )
+		 *
+		 * @method queueable
+		 * @param  {Object} xhr [Optional] XMLHttpRequest of a failed write
+		 * @return {Boolean}    `true` if the write should be queued
+		 */
+		queueable : function ( xhr ) {
+			if ( !this.offline || this.uri === null ) {
+				return false;
+			}
 
-				utility.iterate( record, function ( v, k ) {
-					if ( v instanceof Array ) {
-						x = 0;
-						array.each( v, function ( o ) {
-							structure( o, obj, name + "[" + k + "][" + ( x++ ) + "]" );
-						});
-					}
-					else if ( v instanceof Object ) {
-						structure( v, obj, name + "[" + k + "]" );
-					}
-					else {
-						id = ( name + "[" + k + "]" ).replace( /\[|\]/g, "" );
-						obj.create( "label", {"for": id, innerHTML: string.capitalize( k )} );
-						obj.create( "input", {id: id, name: name + "[" + k + "]", type: "text", value: empty ? "" : v} );
-					}
-				});
-			};
+			return ( this.queue.length > 0 || ( typeof navigator !== "undefined" && navigator.onLine === false ) || ( xhr instanceof Object && ( xhr.status === 0 || xhr.status === 503 ) ) );
+		},
 
-			obj = element.create( "form", { style: "display:none;"}, target );
-			structure( data, obj, entity );
+		/**
+		 * Reapplies the last mutation reverted by undo()
+		 *
+		 * @method redo
+		 * @return {Object} Promise
+		 */
+		redo : function () {
+			return this.replay( this.future, this.history );
+		},
 
-			observer.add( element.create( "input", {type: "button", value: label.common.submit}, obj ), "click", function ( e ) {
-				handler( e );
+		/**
+		 * Reindexes the data store
+		 *
+		 * @method reindex
+		 * @return {Object} Data store
+		 */
+		reindex : function () {
+			var nth = this.total,
+			    i   = -1;
+
+			this.views = {};
+
+			utility.iterate( this.indexes, function ( idx ) {
+				idx.keys   = {};
+				idx.other  = {};
+				idx.values = {};
 			});
 
-			element.create( "input", {type: "reset", value: label.common.reset}, obj );
-			element.css( obj, "display", "inherit" );
+			if ( nth > 0 ) {
+				while ( ++i < nth ) {
+					this.keys[this.records[i].key] = i;
+					this.indexRecord( this.records[i].key, this.records[i].data );
+				}
+			}
 
-			return obj;  
+			return this;
 		},
 
 		/**
-		 * Generates a RESTful store ( replacing a record ) when consuming an API end point
+		 * Changes the key of a record, e.g. a temporary key replaced by the server's
 		 *
-		 * @param  {Object} key Record key
-		 * @param  {Mixed}  arg [Optional] Array or URI String
-		 * @return {Object}     Promise
+		 * @method rekey
+		 * @param  {String} key  Current key
+		 * @param  {String} arg  New key
+		 * @param  {Object} data [Optional] New record data
+		 * @return {Object}      Data store
 		 */
-		generate : function ( key, arg ) {
-			var self     = this,
-			    deferred = promise.factory(),
-			    params   = {},
-			    recs     = null,
-			    deferred2, fn, idx;
-			
-			params = {
-				depth     : this.depth + 1,
-				headers   : this.headers,
-				ignore    : array.clone( this.ignore ),
-				leafs     : array.clone( this.leafs ),
-				key       : this.key,
-				maxDepth  : this.maxDepth,
-				pointer   : this.pointer,
-				recursive : this.recursive,
-				retrieve  : this.retrieve,
-				source    : this.source
-			};
+		rekey : function ( key, arg, data ) {
+			var idx    = this.keys[key],
+			    record = this.records[idx];
 
-			deferred2 = deferred.then( function (arg ) {
-				return arg;
-			}, function ( e ) {
-				throw e;
-			});
+			if ( record === undefined ) {
+				return this;
+			}
 
-			fn = function () {
-				// Creating new child data store
-				if ( typeof arg === "object" ) {
-					recs = arg;
-				}
+			this.unindexRecord( key );
+			delete this.keys[key];
 
-				if ( params.maxDepth === 0 || params.depth <= params.maxDepth ) {
-					self.records[idx] = data.decorator( {id: key}, recs, params );
+			record.key     = arg;
+			this.keys[arg] = idx;
 
-					// Not batching in a data set
-					if ( recs === null ) {
-						// Constructing relational URI
-						if ( self.uri !== null && arg === undefined && !array.contains( self.leafs, key ) ) {
-							arg = self.uri + "/" + key;
-						}
-						
-						// Conditionally making the store RESTful
-						if ( arg !== undefined ) {
-							self.records[idx].data.setUri( arg )
-							                      .then( function (arg ) {
-							                      		deferred.resolve( arg );
-							                       }, function ( e ) {
-							                      		deferred.reject( e );
-							                       });
-						}
-						else {
-							deferred.resolve( self.records[idx].data.records );
-						}
-					}
+			if ( data !== undefined ) {
+				record.data = utility.clone( data );
+
+				if ( this.key !== null ) {
+					delete record.data[this.key];
 				}
 			}
 
-			// Create stub or teardown existing data store
-			if ( this.keys[key] !== undefined ) {
-				idx = this.keys[key];
+			if ( this.versions[key] !== undefined ) {
+				this.versions[arg] = this.versions[key];
+				delete this.versions[key];
+			}
 
-				if ( typeof this.records[idx].data.teardown === "function" ) {
-					this.records[idx].data.teardown();
+			array.each( this.queue, function ( i ) {
+				if ( i.key === key ) {
+					i.key = arg;
 				}
+			});
 
-				fn();
+			this.indexRecord( arg, record.data );
+			this.views = {};
+
+			return this;
+		},
+
+		/**
+		 * Declares a relation to another store, resolved as a computed field ( see set() ), e.g. `{{customer.name}}`
+		 * in DataList templates; the records are recomputed when the other store changes ( see link() )
+		 *
+		 * @example
+		 * orders.relate( "customer", customers.data, "belongsTo", "customerId" );
+		 * customers.relate( "orders", orders.data, "hasMany", "id", "customerId" );
+		 *
+		 * @method relate
+		 * @param  {String} name    Relation name, the field of the related record(s)
+		 * @param  {Object} store   Related DataStore
+		 * @param  {String} type    "belongsTo" ( record or null ) or "hasMany" ( Array of records )
+		 * @param  {String} local   [Optional] Field of this store's records, defaults to `name` + "Id" or this store's key
+		 * @param  {String} foreign [Optional] Field of the related records, defaults to the other store's key
+		 * @return {Object}         Data store
+		 */
+		relate : function ( name, store, type, local, foreign ) {
+			var self = this,
+			    many = ( type === "hasMany" );
+
+			if ( typeof name !== "string" || !( store instanceof DataStore ) || !regex.relation.test( type ) ) {
+				throw Error( label.error.invalidArguments );
 			}
-			else {
-				this.set( key, {}, true).then( function ( arg ) {
-					idx = self.keys[arg.key];
-					self.collections.add( arg.key );
-					fn();
-				});
+
+			local   = local   || ( many ? this.key : name + "Id" );
+			foreign = foreign || store.key;
+
+			if ( typeof local !== "string" || typeof foreign !== "string" ) {
+				throw Error( label.error.invalidArguments );
 			}
 
-			return deferred2;
+			this.relations[name] = {type: type, store: store, local: local, foreign: foreign};
+
+			this.computed[name] = function ( arg, key ) {
+				var records = data.lookup( store, foreign, local === self.key ? key : data.field( arg, local ) );
+
+				if ( many ) {
+					return records;
+				}
+
+				return records.length > 0 ? records[0] : null;
+			};
+
+			return this.link( store ).reindex();
 		},
 
 		/**
-		 * Retrieves a record based on key or index
+		 * Applies the last entry of `from` through set() & del(), and moves the prior state of its records onto `to`
 		 *
-		 * If the key is an integer, cast to a string before sending as an argument!
+		 * The prior state replaces the record, so RESTful stores send it like any other write; batches are applied locally
 		 *
-		 * @method get
-		 * @param  {Mixed}  record Key, index or Array of pagination start & end; or comma delimited String of keys or indices
-		 * @param  {Number} offset [Optional] Offset from `record` for pagination
-		 * @return {Mixed}         Individual record, or Array of records
+		 * @method replay
+		 * @param  {Array} from History to apply
+		 * @param  {Array} to   History to receive the prior state
+		 * @return {Object}     Promise
 		 */
-		get : function ( record, offset ) {
-			var records = this.records,
-			    type    = typeof record,
-			    self    = this,
-			    r;
+		replay : function ( from, to ) {
+			var self     = this,
+			    deferred = promise.factory(),
+			    entry    = from.pop(),
+			    prior    = [],
+			    batch    = false,
+			    r        = 0,
+			    f        = false,
+			    complete, exact, failure;
 
-			if ( type === "undefined" || record.toString().length === 0 ) {
-				r = records;
+			if ( entry === undefined ) {
+				return deferred.resolve( [] );
 			}
-			else if ( type === "string" && record.indexOf( "," ) > -1 ) {
-				r = [];
-				array.each( string.explode( record ), function ( i ) {
-					if ( !isNaN( i )) {
-						i = number.parse( i, 10 );
+
+			complete = function () {
+				if ( ++r === entry.length ) {
+					to.push( prior );
+
+					if ( to.length > self.maxHistory ) {
+						to.shift();
 					}
 
-					r.push( self.get( i ) );
-				});
-			}
-			else if ( type === "string" && this.keys[record] !== undefined ) {
-				r = records[this.keys[record]];
-			}
-			else if ( type === "number" && offset === undefined) {
-				r = records[number.parse( record, 10 )];
-			}
-			else if ( type === "number" && typeof offset === "number") {
-				r = records.limit( number.parse( record, 10 ), number.parse( offset, 10 ) );
-			}
+					if ( batch ) {
+						array.each( self.datalists, function ( i ) {
+							i.refresh( true );
+						});
+					}
 
-			return r;
-		},
+					deferred.resolve( prior );
+				}
+			};
 
-		/**
-		 * Purges data store or record from localStorage
-		 * 
-		 * @param  {Mixed} arg  [Optional] String or Number for record
-		 * @return {Object}     Record or store
-		 */
-		purge : function ( arg ) {
-			return this.storage( arg || this, "remove" );
-		},
+			failure = function ( e ) {
+				if ( !f ) {
+					f = true;
+					from.push( entry );
+					deferred.reject( e );
+				}
+			};
 
-		/**
-		 * Reindexes the data store
-		 *
-		 * @method reindex
-		 * @return {Object} Data store
-		 */
-		reindex : function () {
-			var nth = this.total,
-			    i   = -1;
+			// Batches merge, so removing fields the prior state didn't have
+			exact = function ( i ) {
+				var record = self.get( i.key );
 
-			this.views = {};
+				utility.iterate( record.data, function ( v, k ) {
+					if ( !i.data.hasOwnProperty( k ) && self.computed[k] === undefined ) {
+						delete record.data[k];
+					}
+				});
 
-			if ( nth > 0 ) {
-				while ( ++i < nth ) {
-					this.keys[this.records[i].key] = i;
+				self.indexRecord( record.key, record.data );
+				self.views = {};
+			};
+
+			array.each( entry, function ( i ) {
+				var record = self.get( i.key ),
+				    state  = {key: i.key, data: record !== undefined ? utility.clone( record.data ) : undefined};
+
+				if ( i.batch === true ) {
+					state.batch = batch = true;
 				}
+
+				prior.push( state );
+			});
+
+			this.replaying = true;
+
+			try {
+				array.each( entry, function ( i ) {
+					var record = self.get( i.key );
+
+					if ( i.data === undefined ) {
+						record !== undefined ? self.del( i.key, true, i.batch === true ).then( complete, failure ) : complete();
+					}
+					else {
+						self.set( i.key, utility.clone( i.data ), i.batch === true ).then( function () {
+							if ( i.batch === true ) {
+								exact( i );
+							}
+
+							complete();
+						}, failure );
+					}
+				});
+			}
+			finally {
+				this.replaying = false;
 			}
 
-			return this;
+			return deferred;
 		},
 
 		/**
@@ -986,32 +2997,71 @@ var data = {
 
 		/**
 		 * Selects records based on an explcit description
+		 *
+		 * The WHERE clause is plain JSON unless it has predicate functions, e.g.
+		 * {age: {$gt: 30}, status: {$in: ["a", "b"]}, "address.city": "Toronto", $or: [{name: {$regex: "^jo", $options: "i"}}, {vip: true}]}
+		 * ( see data.match() ). Equality lookups use the index covering the most fields, if any ( see index() )
 		 * 
 		 * @param  {Object} where  Object describing the WHERE clause
 		 * @return {Array}         Array of records
 		 */
 		select : function ( where ) {
-			var result;
+			var self      = this,
+			    records   = this.records,
+			    equal     = [],
+			    positions = [],
+			    values    = [],
+			    best      = null,
+			    result, bucket;
 
 			if ( !( where instanceof Object ) ) {
 				throw Error( label.error.invalidArguments );
 			}
 
-			result = this.records.filter( function ( rec ) {
-				var match = true;
+			// Finding the index which covers the most equality lookups
+			utility.iterate( where, function ( v, k ) {
+				if ( typeof v !== "function" && data.indexValue( [v] ) !== null ) {
+					equal.push( k );
+				}
+			});
+
+			if ( equal.length > 0 ) {
+				utility.iterate( this.indexes, function ( idx ) {
+					var covered = true;
 
-				utility.iterate( where, function ( v, k ) {
-					var type = typeof v;
+					array.each( idx.fields, function ( i ) {
+						return ( covered = array.contains( equal, i ) );
+					});
 
-					if ( type !== "function" && rec.data[k] !== v ) {
-						return ( match = false );
-					}
-					else if ( type === "function" && !v( rec.data[k] ) ) {
-						return ( match = false );
+					if ( covered && ( best === null || idx.fields.length > best.fields.length ) ) {
+						best = idx;
 					}
 				});
+			}
+
+			// Narrowing the records to the index bucket, in the order of the store
+			if ( best !== null ) {
+				records = [];
+
+				array.each( best.fields, function ( i ) {
+					values.push( where[i] );
+				});
+
+				bucket = best.values[data.indexValue( values )];
 
-				return match;
+				if ( bucket !== undefined ) {
+					utility.iterate( bucket.keys, function ( v, k ) {
+						positions.push( self.keys[k] );
+					});
+
+					array.each( positions.sort( array.sort ), function ( i ) {
+						records.push( self.records[i] );
+					});
+				}
+			}
+
+			result = records.filter( function ( rec ) {
+				return data.match( rec.data, where );
 			});
 
 			return result;
@@ -1020,22 +3070,34 @@ var data = {
 		/**
 		 * Creates or updates an existing record
 		 *
-		 * Events: beforeDataSet  Fires before the record is set
-		 *         afterDataSet   Fires after the record is set, the record is the argument for listeners
-		 *         failedDataSet  Fires if the store is RESTful and the action is denied
+		 * RESTful stores send the record's version ( see version() ) as If-Match or If-Unmodified-Since; updates are
+		 * a JSON Patch ( see json.diff() ) if the record's URI allows PATCH, otherwise the record is PUT. Writes are
+		 * queued in offline mode ( see queueable() ). Data is conformed to the `schema`, and the promise is rejected
+		 * with an Error listing the invalid fields ( `invalid` property, see conform() ). Computed fields ( `computed`,
+		 * functions receiving the record data & key ) are evaluated when the record is indexed, and are never sent.
+		 * Records are replaced instead of merged when the history is replayed ( see undo() )
+		 *
+		 * Events: beforeDataSet    Fires before the record is set
+		 *         afterDataSet     Fires after the record is set, the record is the argument for listeners
+		 *         failedDataSet    Fires if the store is RESTful and the action is denied
+		 *         conflictDataSet  Fires if the server has a newer version of the record ( 412 ), see conflict()
 		 *
 		 * @method set
-		 * @param  {Mixed}   key   [Optional] Integer or String to use as a Primary Key
-		 * @param  {Object}  arg   Key:Value pairs to set as field values
-		 * @param  {Boolean} batch [Optional] True if called by data.batch
-		 * @return {Object}        Promise
+		 * @param  {Mixed}   key    [Optional] Integer or String to use as a Primary Key
+		 * @param  {Object}  arg    Key:Value pairs to set as field values
+		 * @param  {Boolean} batch  [Optional] True if called by data.batch
+		 * @param  {Boolean} remote [Optional] True if `arg` is from the server, which isn't conformed to the `schema`
+		 * @return {Object}         Promise
 		 */
-		set : function ( key, arg, batch ) {
+		set : function ( key, arg, batch, remote ) {
 			batch        = ( batch === true );
 			var self     = this,
 			    deferred = promise.factory(),
 			    partial  = false,
-			    data, deferred2, record, method, events, args, uri, p, success, failure;
+			    history  = ( !batch && this.maxHistory > 0 && !this.replaying ),
+			    replace  = ( !batch && this.replaying ),
+			    response = null,
+			    data, deferred2, record, method, events, args, uri, p, prior, current, headers, valid, e, success, failure;
 
 			if ( !( arg instanceof Object ) ) {
 				throw Error( label.error.invalidArguments );
@@ -1051,6 +3113,14 @@ var data = {
 				data.data = utility.clone( arg.data );
 
 				deferred.then( function ( arg ) {
+					if ( history ) {
+						self.track( [{key: arg.key, data: prior}] );
+					}
+
+					if ( response !== null ) {
+						self.version( arg.key, response );
+					}
+
 					if ( self.retrieve ) {
 						self.crawl( arg );
 					}
@@ -1118,6 +3188,7 @@ var data = {
 							delete record.data[self.key];
 						}
 
+						self.indexRecord( record.key, record.data );
 						deferred.resolve( record );
 					}
 					else {
@@ -1130,8 +3201,11 @@ var data = {
 						}
 
 						record.data = {};
+						self.indexRecord( record.key, record.data );
+
+						client.request(uri, "GET", function ( args, xhr ) {
+							self.version( record.key, xhr );
 
-						client.request(uri, "GET", function ( args ) {
 							if ( self.source !== null) {
 								args = utility.walk( args, self.source );
 							}
@@ -1141,6 +3215,7 @@ var data = {
 							}
 
 							record.data = args;
+							self.indexRecord( record.key, record.data );
 							deferred.resolve( record );
 						}, function ( e ) {
 							deferred.reject( e );
@@ -1150,6 +3225,7 @@ var data = {
 				else {
 					record = self.records[self.keys[data.record.key]];
 					record.data = data.data;
+					self.indexRecord( record.key, record.data );
 					deferred.resolve( record );
 				}
 			}, function ( e ) {
@@ -1183,6 +3259,13 @@ var data = {
 				key = undefined;
 			}
 
+			// Computed fields are never sent
+			if ( data instanceof Object && !( data instanceof Array ) ) {
+				utility.iterate( this.computed, function ( v, k ) {
+					delete data[k];
+				});
+			}
+
 			// Generating a child store
 			if ( data instanceof Array ) {
 				return this.generate( key )
@@ -1203,14 +3286,22 @@ var data = {
 			args   = {data: {}, key: key, record: undefined};
 			uri    = this.uri;
 
+			if ( history && record !== undefined ) {
+				prior = utility.clone( record.data );
+			}
+
 			// Determining permissions
 			if ( !batch && this.callback === null && uri !== null ) {
 				if ( record !== undefined && uri.replace( regex.not_endpoint, "" ) !== record.key ) {
 					uri += "/" + record.key;
 				}
+				// Restoring a deleted record at its URI
+				else if ( record === undefined && replace ) {
+					uri += "/" + key;
+				}
 
 				// Can we use a PATCH request?
-				if ( method === "put" && client.allows( uri, "patch" ) && ( !client.ie || ( client.version > 8 || client.activex ) ) ) {
+				if ( method === "put" && record !== undefined && client.allows( uri, "patch" ) && ( !client.ie || ( client.version > 8 || client.activex ) ) ) {
 					method = "patch";
 					p = partial = true;
 				}
@@ -1226,13 +3317,20 @@ var data = {
 
 				// Getting primitive values
 				utility.iterate( args.record.data, function ( v, k ) {
-					if ( !array.contains( self.ignore, k ) ) {
+					if ( !array.contains( self.ignore, k ) && self.computed[k] === undefined ) {
 						args.data[k] = v;
 					}
 				});
 
-				// Merging the difference with the record data
-				utility.merge( args.data, data );
+				current = utility.clone( args.data );
+
+				// Merging the difference with the record data, or replacing it
+				if ( replace ) {
+					args.data = data;
+				}
+				else {
+					utility.merge( args.data, data );
+				}
 
 				// PATCH is not supported, send the entire record
 				if ( !partial ) {
@@ -1243,6 +3341,22 @@ var data = {
 				args.data = data;
 			}
 
+			// Enforcing the schema on local writes
+			if ( this.schema !== null && remote !== true ) {
+				valid = this.conform( args.data );
+
+				if ( !valid.pass ) {
+					e = Error( label.error.invalidFields + valid.invalid.map( function ( i ) {
+						return i.field;
+					}).join( ", " ) );
+
+					e.invalid = valid.invalid;
+					deferred.reject( e );
+
+					return deferred2;
+				}
+			}
+
 			if ( events ) {
 				observer.fire( self.parentNode, "beforeDataSet", {key: key, data: data} );
 			}
@@ -1250,13 +3364,37 @@ var data = {
 			if ( batch || this.callback !== null || this.uri === null ) {
 				deferred.resolve( args );
 			}
+			else if ( this.queueable() ) {
+				this.enqueue( "set", args );
+				deferred.resolve( args );
+			}
 			else if ( regex.true_undefined.test( p ) ) {
-				client.request( uri, method.toUpperCase(), function ( arg ) {
+				headers = utility.merge( utility.merge( {withCredentials: this.credentials}, this.headers ), record !== undefined ? this.versions[record.key] || {} : {} );
+
+				// PATCH requests send a JSON Patch of the changes
+				if ( partial ) {
+					headers["Content-Type"] = "application/json-patch+json";
+				}
+
+				client.request( uri, method.toUpperCase(), function ( arg, xhr ) {
 					args.result = arg;
+					response    = xhr;
 					deferred.resolve( args );
-				}, function ( e ) {
-					deferred.reject( e );
-				}, data, utility.merge( {withCredentials: this.credentials}, this.headers ) );
+				}, function ( e, xhr ) {
+					// Precondition failed, the record was changed by someone else
+					if ( record !== undefined && xhr !== null && xhr !== undefined && xhr.status === 412 ) {
+						self.conflict( record.key, args.data, uri, xhr ).then( function () {
+							deferred.reject( e );
+						});
+					}
+					else if ( self.queueable( xhr ) ) {
+						self.enqueue( "set", args );
+						deferred.resolve( args );
+					}
+					else {
+						deferred.reject( e );
+					}
+				}, partial ? json.diff( current, args.data ) : data, headers );
 			}
 			else {
 				deferred.reject( args );
@@ -1308,6 +3446,8 @@ var data = {
 
 		/**
 		 * Sets the RESTful API end point
+		 *
+		 * Writes queued in offline mode by a previous session are restored, and sent after the store is synced
 		 * 
 		 * @method setUri
 		 * @param  {String} arg [Optional] API collection end point
@@ -1338,6 +3478,19 @@ var data = {
 						this.sync( true );
 					}, "dataSync", this);
 
+					if ( this.offline && this.queue.length === 0 && typeof localStorage !== "undefined" ) {
+						try {
+							this.storage( this.queue, "get" );
+						}
+						catch ( e ) {
+							void 0;
+						}
+
+						if ( !( this.queue instanceof Array ) ) {
+							this.queue = [];
+						}
+					}
+
 					cache.expire( result, true );
 
 					this.sync( true )
@@ -1502,7 +3655,7 @@ var data = {
 		/**
 		 * Storage interface
 		 * 
-		 * @param  {Mixed}  obj  Record ( Object, key or index ) or store
+		 * @param  {Mixed}  obj  Record ( Object, key or index ), store, or the queue of offline mode
 		 * @param  {Object} op   Operation to perform ( get, remove or set )
 		 * @param  {String} type [Optional] Type of Storage to use ( local or session, default is local )
 		 * @return {Object}      Record or store
@@ -1511,19 +3664,20 @@ var data = {
 			var record  = false,
 			    self    = this,
 			    session = ( type === "session" && typeof sessionStorage !== "undefined" ),
-			    result, key, data;
+			    queue   = ( obj === this.queue ),
+			    result, key, data, strip;
 
 			if ( !regex.number_string_object.test( typeof obj ) || !regex.get_remove_set.test( op ) ) {
 				throw Error( label.error.invalidArguments );
 			}
 
-			record = ( regex.number_string.test( obj ) || ( obj.hasOwnProperty( "key" ) && !obj.hasOwnProperty( "parentNode" ) ) );
+			record = ( !queue && ( regex.number_string.test( obj ) || ( obj.hasOwnProperty( "key" ) && !obj.hasOwnProperty( "parentNode" ) ) ) );
 
 			if ( record && !( obj instanceof Object ) ) {
 				obj = this.get( obj );
 			}
 
-			key    = record ? obj.key : obj.parentNode.id;
+			key    = queue ? this.parentNode.id + "Queue" : ( record ? obj.key : obj.parentNode.id );
 
 			switch ( op ) {
 				case "get":
@@ -1534,15 +3688,44 @@ var data = {
 					}
 
 					result = json.decode( result );
-					record ? this.set( key, result, true ) : utility.merge( this, result );
-					result = record ? obj : this;
+
+					if ( queue ) {
+						result = this.queue = result;
+					}
+					else {
+						if ( record ) {
+							this.set( key, result, true );
+						}
+						else {
+							// Indexes & computed fields aren't stored
+							utility.merge( this, result );
+							this.reindex();
+						}
+
+						result = record ? obj : this;
+					}
 					break;
 				case "remove":
 					session ? sessionStorage.removeItem( key ) : localStorage.removeItem( key );
 					result = this;
 					break;
 				case "set":
-					data = json.encode( record ? obj.data : {total: this.total, keys: this.keys, records: this.records} );
+					// Computed fields are evaluated when the records are restored
+					strip = function ( arg ) {
+						var result = {};
+
+						utility.iterate( arg, function ( v, k ) {
+							if ( self.computed[k] === undefined ) {
+								result[k] = v;
+							}
+						});
+
+						return result;
+					};
+
+					data = json.encode( queue ? this.queue : ( record ? strip( obj.data ) : {total: this.total, keys: this.keys, records: this.records.map( function ( i ) {
+						return {key: i.key, data: strip( i.data )};
+					})} ) );
 					session ? sessionStorage.setItem( key, data ) : localStorage.setItem( key, data );
 					result = this;
 					break;
@@ -1554,6 +3737,13 @@ var data = {
 		/**
 		 * Syncs the data store with a URI representation
 		 *
+		 * Paginated responses are followed, or loaded on demand, as described by `paging` ( see paginate() )
+		 *
+		 * Loaded stores with a `key` merge the response in `delta` mode ( see merge() ), sending the `revision` of
+		 * the last response as If-None-Match or If-Modified-Since, and the time of the last sync as the `since` query
+		 * string parameter if set, in which case the response only has the changed records & the `tombstone` of
+		 * deleted records; 304 is "no change"
+		 *
 		 * Events: beforeDataSync  Fires before syncing the data store
 		 *         afterDataSync   Fires after syncing the data store
 		 *         failedDataSync  Fires when an exception occurs
@@ -1572,42 +3762,85 @@ var data = {
 			    events    = ( this.events === true ),
 			    deferred1 = promise.factory(),
 			    deferred2 = promise.factory(),
-			    deferred3, success, failure;
+			    response  = null,
+			    uri       = this.uri,
+			    started   = new Date().toISOString(),
+			    delta     = ( this.delta === true && this.loaded && this.key !== null && this.paging === null && this.pointer === null ),
+			    partial   = ( delta && this.since !== null && this.lastSync !== null ),
+			    headers   = utility.merge( {withCredentials: this.credentials}, this.headers ),
+			    deferred3, success, failure, follow;
+
+			if ( partial ) {
+				uri += ( uri.indexOf( "?" ) > -1 ? "&" : "?" ) + this.since + "=" + encodeURIComponent( this.lastSync );
+			}
 
-			deferred1.then( function ( arg ) {
-				if ( typeof arg !== "object" ) {
-					throw Error( label.error.expectedObject );
+			if ( delta && this.revision !== null ) {
+				headers = utility.merge( headers, this.revision );
+			}
+
+			// Following the pages until the last one, or loading them on demand
+			follow = function () {
+				if ( self.nextPage === null || self.paging.load === "demand" ) {
+					deferred2.resolve( self.records );
 				}
+				else {
+					self.more().then( follow, function ( e ) {
+						deferred2.reject( e );
+					});
+				}
+			};
 
-				var found = false,
-				    data;
+			deferred1.then( function ( arg ) {
+				var records, versions;
 
-				if ( self.source !== null ) {
-					arg = utility.walk( arg, self.source );
-				}
+				// Not modified
+				if ( response !== null && response.status === 304 ) {
+					deferred2.resolve( self.records );
 
-				if ( arg instanceof Array ) {
-					data = arg;
+					return;
 				}
-				else utility.iterate( arg, function ( i ) {
-					if ( !found && i instanceof Array ) {
-						found = true;
-						data  = i;
-					}
-				});
 
-				if ( data === undefined ) {
-					data = [arg];
+				records = data.unwrap( arg, self.source );
+
+				if ( delta ) {
+					self.merge( records, partial ).then( function ( result ) {
+						deferred2.resolve( result );
+					}, function ( e ) {
+						deferred2.reject( e );
+					});
+
+					return records;
 				}
 
-				self.batch( "set", data, true, undefined )
-				    .then( function ( arg ) {
-				    	deferred2.resolve( arg );
+				// clear() drops the versions, so they're kept for the records which are still present
+				versions = self.versions;
+
+				self.batch( "set", records, true, undefined )
+				    .then( function ( result ) {
+				    	utility.iterate( versions, function ( v, k ) {
+				    		if ( self.keys[k] !== undefined && self.versions[k] === undefined ) {
+				    			self.versions[k] = v;
+				    		}
+				    	});
+
+				    	if ( self.paging === null ) {
+				    		deferred2.resolve( result );
+				    	}
+				    	else {
+				    		self.pages    = 1;
+				    		self.nextPage = self.paginate( arg, response, records );
+
+				    		if ( events ) {
+				    			observer.fire( self.parentNode, "afterDataPage", {page: self.pages, records: records, next: self.nextPage} );
+				    		}
+
+				    		follow();
+				    	}
 				     }, function ( e ) {
 				    	deferred2.reject( e );
 				     });
 
-				return data;
+				return records;
 			}, function ( e ) {
 				deferred2.reject( e );
 			});
@@ -1617,6 +3850,11 @@ var data = {
 					self.reindex();
 				}
 
+				// Retrying the writes queued in offline mode, now that the server responded
+				if ( self.queue.length > 0 ) {
+					self.flush();
+				}
+
 				if ( events ) {
 					observer.fire( self.parentNode, "afterDataSync", arg );
 				}
@@ -1628,7 +3866,28 @@ var data = {
 				throw e;
 			});
 
-			success = function ( arg ) {
+			success = function ( arg, xhr ) {
+				var etag, modified;
+
+				response = xhr || null;
+
+				if ( self.delta === true ) {
+					self.lastSync = started;
+
+					if ( response !== null && response.status !== 304 && typeof response.getResponseHeader === "function" ) {
+						etag          = response.getResponseHeader( "ETag" );
+						modified      = response.getResponseHeader( "Last-Modified" );
+						self.revision = null;
+
+						if ( typeof etag === "string" && !string.isEmpty( etag ) ) {
+							self.revision = {"If-None-Match": etag};
+						}
+						else if ( typeof modified === "string" && !string.isEmpty( modified ) ) {
+							self.revision = {"If-Modified-Since": modified};
+						}
+					}
+				}
+
 				deferred1.resolve( arg );
 			};
 
@@ -1640,8 +3899,8 @@ var data = {
 				observer.fire( self.parentNode, "beforeDataSync" );
 			}
 
-			this.callback !== null ? client.jsonp( this.uri, success, failure, {callback: this.callback} )
-			                       : client.request( this.uri, "GET", success, failure, null, utility.merge({withCredentials: this.credentials}, this.headers) );
+			this.callback !== null ? client.jsonp( uri, success, failure, {callback: this.callback} )
+			                       : client.request( uri, "GET", success, failure, null, headers );
 
 			return deferred3;
 		},
@@ -1661,6 +3920,7 @@ var data = {
 
 				id = this.parentNode.id + "DataExpire";
 				utility.clearTimers( id );
+				utility.clearTimers( this.parentNode.id + "DataFlush" );
 
 				array.each( this.datalists, function (i ) {
 					i.teardown();
@@ -1688,6 +3948,38 @@ var data = {
 			return this;
 		},
 
+		/**
+		 * Adds an entry of prior record states to the history, if enabled by `maxHistory`
+		 *
+		 * @method track
+		 * @param  {Array} arg Prior states, e.g. [{key: "abc", data: {...}}]; `data` is undefined if the record didn't exist,
+		 *                      and `batch` is true if the state is restored locally
+		 * @return {Object}    Data store
+		 */
+		track : function ( arg ) {
+			if ( this.maxHistory > 0 && arg.length > 0 ) {
+				this.history.push( arg );
+				this.future = [];
+
+				if ( this.history.length > this.maxHistory ) {
+					this.history.shift();
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Reverts the last set(), update(), del() or batch(), if enabled by `maxHistory`;
+		 * RESTful stores issue the compensating requests
+		 *
+		 * @method undo
+		 * @return {Object} Promise
+		 */
+		undo : function () {
+			return this.replay( this.history, this.future );
+		},
+
 		/**
 		 * Returns Array of unique values of `key`
 		 * 
@@ -1695,19 +3987,70 @@ var data = {
 		 * @return {Array}      Array of values
 		 */
 		unique : function ( key ) {
-			var results = [];
+			var self    = this,
+			    idx     = this.indexes[key],
+			    results = [],
+			    first   = [];
+
+			// Ordering the distinct values of an index by their first record
+			if ( idx !== undefined && array.keys( idx.other ).length === 0 ) {
+				utility.iterate( idx.values, function ( v ) {
+					var min = -1;
+
+					utility.iterate( v.keys, function ( i, k ) {
+						if ( min === -1 || self.keys[k] < min ) {
+							min = self.keys[k];
+						}
+					});
 
-			array.each( this.records, function ( i ) {
-				array.add( results, i.data[key] );
-			});
+					first.push( min );
+				});
+
+				array.each( first.sort( array.sort ), function ( i ) {
+					results.push( self.records[i].data[key] );
+				});
+			}
+			else {
+				array.each( this.records, function ( i ) {
+					array.add( results, i.data[key] );
+				});
+			}
 
 			return results;
 		},
 
+		/**
+		 * Removes the entries of a record from the indexes
+		 *
+		 * @method unindexRecord
+		 * @param  {String} key Record key
+		 * @param  {Object} idx [Optional] Index to update, default is every index
+		 * @return {Object}     Data store
+		 */
+		unindexRecord : function ( key, idx ) {
+			array.each( idx !== undefined ? [idx] : array.cast( this.indexes ), function ( i ) {
+				var value = i.keys[key];
+
+				if ( value !== undefined ) {
+					delete i.values[value].keys[key];
+					delete i.keys[key];
+
+					if ( --i.values[value].total === 0 ) {
+						delete i.values[value];
+					}
+				}
+
+				delete i.other[key];
+			});
+
+			return this;
+		},
+
 		/**
 		 * Updates an existing Record
 		 *
-		 * Use `data.set()` if the record contains child data stores
+		 * Use `data.set()` if the record contains child data stores; RESTful stores send a JSON Patch
+		 * of the changes if the record's URI allows PATCH ( see set() )
 		 * 
 		 * @param  {Mixed}  key  Integer or String to use as a Primary Key
 		 * @param  {Object} data Key:Value pairs to set as field values
@@ -1729,10 +4072,38 @@ var data = {
 				deferred.resolve( arg );
 			}, function ( e ) {
 				error( e, arguments, self );
+				deferred.reject( e );
 			});
 
 			return deferred;
 
+		},
+
+		/**
+		 * Remembers the version of a record from the ETag or Last-Modified header of a response, to make
+		 * conditional writes ( If-Match or If-Unmodified-Since )
+		 *
+		 * @method version
+		 * @param  {String} key Record key
+		 * @param  {Object} xhr XMLHttpRequest
+		 * @return {Object}     Data store
+		 */
+		version : function ( key, xhr ) {
+			var etag, modified;
+
+			if ( xhr !== null && xhr !== undefined && typeof xhr.getResponseHeader === "function" ) {
+				etag     = xhr.getResponseHeader( "ETag" );
+				modified = xhr.getResponseHeader( "Last-Modified" );
+
+				if ( typeof etag === "string" && !string.isEmpty( etag ) ) {
+					this.versions[key] = {"If-Match": etag};
+				}
+				else if ( typeof modified === "string" && !string.isEmpty( modified ) ) {
+					this.versions[key] = {"If-Unmodified-Since": modified};
+				}
+			}
+
+			return this;
 		}
 	}
 };
@@ -1749,26 +4120,47 @@ function DataStore ( obj ) {
 	this.parentNode  = obj;
 	this.callback    = null;
 	this.collections = [];
+	this.computed    = {};
 	this.crawled     = false;
 	this.credentials = null;
 	this.datalists   = [];
+	this.delta       = false;
 	this.depth       = 0;
 	this.events      = true;
 	this.expires     = null;
+	this.flushing    = null;
+	this.future      = [];
 	this.headers     = {Accept: "application/json"};
+	this.history     = [];
 	this.ignore      = [];
+	this.indexes     = {};
 	this.key         = null;
 	this.keys        = {};
+	this.lastSync    = null;
 	this.leafs       = [];
 	this.loaded      = false;
 	this.maxDepth    = 0;
+	this.maxHistory  = 0;
+	this.nextPage    = null;
+	this.offline     = false;
+	this.pages       = 0;
+	this.paging      = null;
 	this.pointer     = null;
+	this.queue       = [];
 	this.records     = [];
 	this.recursive   = false;
+	this.relations   = {};
+	this.replaying   = false;
 	this.retrieve    = false;
+	this.retry       = 30000;
+	this.revision    = null;
+	this.schema      = null;
+	this.since       = null;
 	this.source      = null;
+	this.tombstone   = null;
 	this.total       = 0;
 	this.views       = {};
+	this.versions    = {};
 	this.uri         = null;
 };
 
@@ -78,10 +78,23 @@ var datalist = {
 		 * @return {Object}  DataList instance
 		 */
 		page : function ( arg ) {
+			var self = this;
+
 			if ( isNaN( arg ) ) {
 				throw Error( label.error.invalidArguments );
 			}
 
+			// Loading pages from the server until the page is filled
+			if ( typeof this.pageSize === "number" && this.store.nextPage !== null && arg * this.pageSize > this.store.total ) {
+				this.store.more().then( function () {
+					self.page( arg );
+				}, function ( e ) {
+					error( e, arguments, self );
+				});
+
+				return this;
+			}
+
 			this.pageIndex = arg;
 			this.refresh();
 
@@ -431,7 +444,8 @@ var datalist = {
 			throw Error( label.error.invalidArguments );
 		}
 
-		return number.round( this.total / this.pageSize, "up" );
+		// Pages which aren't loaded yet are reachable
+		return number.round( this.total / this.pageSize, "up" ) + ( this.store.nextPage === null ? 0 : 1 );
 	},
 
 	/**
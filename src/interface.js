@@ -64,17 +64,24 @@ return {
 	regex           : regex,
 	repeating       : {},
 	route           : {
-		enabled : false,
-		current : route.current,
-		del     : route.del,
-		hash    : route.hash,
-		init    : route.init,
-		initial : route.initial,
-		list    : route.list,
-		load    : route.load,
-		reset   : route.reset,
-		server  : route.server,
-		set     : route.set
+		allows   : route.allows,
+		enabled  : false,
+		current  : route.current,
+		del      : route.del,
+		hash     : route.hash,
+		init     : route.init,
+		initial  : route.initial,
+		list     : route.list,
+		load     : route.load,
+		mime     : route.mime,
+		mode     : route.mode,
+		reset    : route.reset,
+		resource : route.resource,
+		serve    : route.serve,
+		server   : route.server,
+		set      : route.set,
+		url      : route.url,
+		use      : route.use
 	},
 	state           : {},
 	string          : string,
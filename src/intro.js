@@ -4,16 +4,18 @@ var document  = global.document,
     location  = global.location,
     navigator = global.navigator,
     server    = typeof exports !== "undefined",
-    abaaso, http, https, url;
+    abaaso, crypto, fs, http, https, url;
 
 if ( global.abaaso !== undefined ) {
 	return;
 }
 
 if ( server ) {
-	url   = require( "url" );
-	http  = require( "http" );
-	https = require( "https" );
+	url    = require( "url" );
+	http   = require( "http" );
+	https  = require( "https" );
+	crypto = require( "crypto" );
+	fs     = require( "fs" );
 
 	if ( typeof Storage === "undefined" ) {
 		localStorage = require( "localStorage" );
@@ -26,6 +26,51 @@ var json = {
 		}
 	},
 
+	/**
+	 * Creates a JSON Patch ( RFC 6902 ) of the differences between two entities
+	 *
+	 * Objects are compared by property, other values ( including Arrays ) are replaced when they differ
+	 *
+	 * @method diff
+	 * @param  {Mixed}  source Original entity
+	 * @param  {Mixed}  target Changed entity
+	 * @param  {String} path   [Optional] JSON Pointer prefix of the operations
+	 * @return {Array}         JSON Patch operations
+	 */
+	diff : function ( source, target, path ) {
+		var result = [],
+		    object = function ( arg ) {
+		    	return arg instanceof Object && !( arg instanceof Array ) && typeof arg !== "function";
+		    },
+		    escape = function ( arg ) {
+		    	return arg.replace( /~/g, "~0" ).replace( /\//g, "~1" );
+		    };
+
+		path = path || "";
+
+		if ( object( source ) && object( target ) ) {
+			utility.iterate( source, function ( v, k ) {
+				if ( !target.hasOwnProperty( k ) ) {
+					result.push( {op: "remove", path: path + "/" + escape( k )} );
+				}
+				else {
+					array.merge( result, json.diff( v, target[k], path + "/" + escape( k ) ) );
+				}
+			});
+
+			utility.iterate( target, function ( v, k ) {
+				if ( !source.hasOwnProperty( k ) ) {
+					result.push( {op: "add", path: path + "/" + escape( k ), value: json.decode( json.encode( v ) )} );
+				}
+			});
+		}
+		else if ( json.encode( source, true ) !== json.encode( target, true ) ) {
+			result.push( {op: "replace", path: path, value: target instanceof Object ? json.decode( json.encode( target ) ) : target} );
+		}
+
+		return result;
+	},
+
 	/**
 	 * Encodes the argument as JSON
 	 *
@@ -45,5 +90,185 @@ var json = {
 
 			return undefined;
 		}
+	},
+
+	/**
+	 * Applies a JSON Patch ( RFC 6902 ) to a copy of an entity
+	 *
+	 * @method patch
+	 * @param  {Mixed} obj Entity to patch
+	 * @param  {Array} ops JSON Patch operations
+	 * @return {Mixed}     Patched copy of `obj`
+	 */
+	patch : function ( obj, ops ) {
+		var copy   = function ( arg ) {
+		    	return arg instanceof Object ? json.decode( json.encode( arg ) ) : arg;
+		    },
+		    result = copy( obj ),
+		    parse, parent, get, add, remove, equal;
+
+		if ( !( ops instanceof Array ) ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		// Parses a JSON Pointer into tokens
+		parse = function ( path ) {
+			if ( typeof path !== "string" || ( path !== "" && path.charAt( 0 ) !== "/" ) ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			return path === "" ? [] : path.substring( 1 ).split( "/" ).map( function ( i ) {
+				return i.replace( /~1/g, "/" ).replace( /~0/g, "~" );
+			});
+		};
+
+		// Finds the container of the last token
+		parent = function ( tokens ) {
+			var obj = result,
+			    nth = tokens.length - 1,
+			    i   = -1;
+
+			while ( ++i < nth ) {
+				if ( !( obj instanceof Object ) || !obj.hasOwnProperty( tokens[i] ) ) {
+					throw Error( label.error.propertyNotFound );
+				}
+
+				obj = obj[tokens[i]];
+			}
+
+			if ( !( obj instanceof Object ) ) {
+				throw Error( label.error.propertyNotFound );
+			}
+
+			return obj;
+		};
+
+		get = function ( path ) {
+			var tokens = parse( path ),
+			    obj, key;
+
+			if ( tokens.length === 0 ) {
+				return result;
+			}
+
+			obj = parent( tokens );
+			key = array.last( tokens );
+
+			if ( !obj.hasOwnProperty( key ) ) {
+				throw Error( label.error.propertyNotFound );
+			}
+
+			return obj[key];
+		};
+
+		add = function ( path, value ) {
+			var tokens = parse( path ),
+			    obj, key, idx;
+
+			if ( tokens.length === 0 ) {
+				result = value;
+			}
+			else {
+				obj = parent( tokens );
+				key = array.last( tokens );
+
+				if ( obj instanceof Array ) {
+					idx = key === "-" ? obj.length : number.parse( key, 10 );
+
+					if ( isNaN( idx ) || idx < 0 || idx > obj.length ) {
+						throw Error( label.error.propertyNotFound );
+					}
+
+					obj.splice( idx, 0, value );
+				}
+				else {
+					obj[key] = value;
+				}
+			}
+		};
+
+		remove = function ( path ) {
+			var tokens = parse( path ),
+			    value  = get( path ),
+			    obj, key;
+
+			if ( tokens.length === 0 ) {
+				result = undefined;
+			}
+			else {
+				obj = parent( tokens );
+				key = array.last( tokens );
+
+				if ( obj instanceof Array ) {
+					obj.splice( number.parse( key, 10 ), 1 );
+				}
+				else {
+					delete obj[key];
+				}
+			}
+
+			return value;
+		};
+
+		// Compares values structurally, ignoring the order of properties
+		equal = function ( a, b ) {
+			var result = true,
+			    keys;
+
+			if ( a instanceof Array || b instanceof Array ) {
+				result = ( a instanceof Array && b instanceof Array && a.length === b.length );
+
+				if ( result ) {
+					array.each( a, function ( i, idx ) {
+						return ( result = equal( i, b[idx] ) );
+					});
+				}
+			}
+			else if ( a instanceof Object && b instanceof Object ) {
+				keys   = array.keys( a );
+				result = ( keys.length === array.keys( b ).length );
+
+				if ( result ) {
+					array.each( keys, function ( k ) {
+						return ( result = ( b.hasOwnProperty( k ) && equal( a[k], b[k] ) ) );
+					});
+				}
+			}
+			else {
+				result = ( a === b );
+			}
+
+			return result;
+		};
+
+		array.each( ops, function ( i ) {
+			switch ( i.op ) {
+				case "add":
+					add( i.path, copy( i.value ) );
+					break;
+				case "remove":
+					remove( i.path );
+					break;
+				case "replace":
+					remove( i.path );
+					add( i.path, copy( i.value ) );
+					break;
+				case "move":
+					add( i.path, remove( i.from ) );
+					break;
+				case "copy":
+					add( i.path, copy( get( i.from ) ) );
+					break;
+				case "test":
+					if ( !equal( get( i.path ), i.value ) ) {
+						throw Error( label.error.patchTestFailed.replace( "{{path}}", i.path ) );
+					}
+					break;
+				default:
+					throw Error( label.error.invalidArguments );
+			}
+		});
+
+		return result;
 	}
 };
@@ -43,6 +43,7 @@ var label = {
 
 	// Error messages
 	error : {
+		batchFailed           : "Batch failed, the data store was restored",
 		databaseNotOpen       : "Failed to open the Database, possibly exceeded Domain quota",
 		databaseNotSupported  : "Client does not support local database storage",
 		databaseWarnInjection : "Possible SQL injection in database transaction, use the &#63; placeholder",
@@ -57,6 +58,7 @@ var label = {
 		invalidArguments      : "One or more arguments is invalid",
 		invalidDate           : "Invalid Date",
 		invalidFields         : "The following required fields are invalid: ",
+		invalidQuery          : "Invalid query, unexpected {{token}} at position {{position}}",
 		invalidRoute          : "The route could not be found",
 		invalidStateNoHeaders : "INVALID_STATE_ERR: Headers have not been received",
 		invalidStateNoSync    : "Synchronous XMLHttpRequest requests are not supported",
@@ -65,6 +67,7 @@ var label = {
 		invalidStateNotUsable : "INVALID_STATE_ERR: Object is not usable",
 		notAvailable          : "Requested method is not available",
 		notSupported          : "This feature is not supported by this platform",
+		patchTestFailed       : "The JSON Patch test failed at {{path}}",
 		propertyNotFound      : "Could not find the requested property",
 		promisePending        : "The promise cannot be resolved while pending result",
 		promiseResolved       : "The promise has been resolved: {{outcome}}",
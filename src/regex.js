@@ -7,6 +7,7 @@
  * @namespace abaaso
  */
 var regex = {
+	aggregate               : /^(count|max|mean|median|min|mode|range|sum)$/,
 	android                 : /android/i,
 	allow                   : /^allow$/i,
 	allow_cors              : /^access-control-allow-methods$/i,
@@ -26,7 +27,9 @@ var regex = {
 	down_up                 : /down|up/,
 	email                   : /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/,
 	element_update          : /innerHTML|innerText|textContent|type|src/,
+	extension               : /\.([^.\/\\]+)$/,
 	firefox                 : /firefox/i,
+	foreign_key             : /_?id$/i,
 	get_headers             : /^(head|get|options)$/,
 	get_remove_set          : /get|remove|set/,
 	hash                    : /\#/,
@@ -40,9 +43,15 @@ var regex = {
 	is_xml                  : /<[^>]+>[^<]*]+>/,
 	ios                     : /ipad|iphone/i,
 	json_maybe              : /json|plain|javascript/,
+	json_type               : /[\/+]json/,
 	json_wrap               : /^[\[\{]/,
 	jsonp_wrap              : /([a-zA-Z0-9\.]+\()(.*)(\))$/,
+	link_next               : /<([^>]+)>\s*;\s*rel="?next"?/i,
 	linux                   : /linux|bsd|unix/i,
+	multipart               : /^multipart\/form-data/i,
+	multipart_boundary      : /boundary=(?:"([^"]+)"|([^;]+))/i,
+	multipart_name          : /\sname="([^"]*)"/i,
+	multipart_filename      : /filename="([^"]*)"/i,
 	nil                     : /^null/i,
 	no                      : /no/i,
 	not_endpoint            : /.*\//,
@@ -60,15 +69,20 @@ var regex = {
 	opera                   : /opera/i,
 	osx                     : /macintosh/i,
 	patch                   : /^patch$/,
+	patch_post_put          : /^(patch|post|put)$/i,
 	phone                   : /^([0-9\(\)\/\+ \-\.]+)$/,
 	playbook                : /playbook/i,
 	plural                  : /s$/,
 	put_post                : /^(post|put)$/i,
+	query_token             : /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|([A-Za-z_$][\w.$]*)|(<=|>=|<>|!=|=|<|>|\(|\)|,|\*))/g,
 	radio_checkbox          : /^(radio|checkbox)$/i,
+	range                   : /^bytes=(\d*)-(\d*)$/,
 	reflect                 : /function\s+\w*\s*\((.*?)\)/,
+	relation                : /^(belongsTo|hasMany)$/,
+	resource_query          : /^(limit|order|start)$/,
 	root                    : /^\/[^\/]/,
-	route_nget              : /^(head|options)$/i,
-	route_methods           : /^(all|delete|get|put|post|head|options)$/i,
+	route_param             : /\/(\*|:)(\w+)(\?)?/g,
+	route_methods           : /^(all|delete|get|head|options|patch|post|put)$/i,
 	safari                  : /safari/i,
 	scheme                  : /.*\/\//,
 	select                  : /select/i,
@@ -84,7 +98,9 @@ var regex = {
 	svg                     : /svg/i,
 	top_bottom              : /top|bottom/i,
 	true_undefined          : /true|undefined/i,
+	urlencoded              : /x-www-form-urlencoded/i,
 	url                     : /^(?:(?:https?|ftp):\/\/)(?:\S+(?::\S*)?@)?(?:(?!10(?:\.\d{1,3}){3})(?!127(?:\.\d{1,3}){3})(?!169\.254(?:\.\d{1,3}){2})(?!192\.168(?:\.\d{1,3}){2})(?!172\.(?:1[6-9]|2\d|3[0-1])(?:\.\d{1,3}){2})(?:[1-9]\d?|1\d\d|2[01]\d|22[0-3])(?:\.(?:1?\d{1,2}|2[0-4]\d|25[0-5])){2}(?:\.(?:[1-9]\d?|1\d\d|2[0-4]\d|25[0-4]))|(?:(?:[a-z\u00a1-\uffff0-9]+-?)*[a-z\u00a1-\uffff0-9]+)(?:\.(?:[a-z\u00a1-\uffff0-9]+-?)*[a-z\u00a1-\uffff0-9]+)*(?:\.(?:[a-z\u00a1-\uffff]{2,})))(?::\d{2,5})?(?:\/[^\s]*)?$/i,
+	walk_path               : /\.|\[/,
 	webos                   : /webos/i,
 	windows                 : /windows/i,
 	xml                     : /xml/i
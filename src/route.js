@@ -1,24 +1,339 @@
 /**
- * URI routing via hashtag
+ * URI routing via hashtag, or history.pushState() with route.mode( "history" )
  *
  * Client side routes will be in routes.all
+ *
+ * Routes are regex patterns, which can contain named parameters, e.g. "/users/:id/orders/:orderId";
+ * a parameter followed by "?" is optional, and "*name" captures the remainder of the path
  * 
  * @class route
  * @namespace abaaso
  */
 var route = {
+	// Base path of client routes in "history" mode, e.g. "/app"
+	base : "",
+
+	// Compiled routes
+	compiled : {},
+
 	// Current route ( Client only )
 	current : "",
 
 	// Initial / default route
 	initial : null,
 
-	// Reused regex object
-	reg : new RegExp(),
+	// Last route loaded ( Client only )
+	matched : null,
+
+	// Descriptors of routes ( guards, names ), by hostname & HTTP method
+	meta : {},
+
+	// Middleware for route.server() requests
+	middleware : {},
+
+	// Content-Types of file extensions, used by route.stream() & route.serve()
+	mimetypes : {
+		css  : "text/css",
+		eot  : "application/vnd.ms-fontobject",
+		gif  : "image/gif",
+		htm  : "text/html",
+		html : "text/html",
+		ico  : "image/x-icon",
+		jpeg : "image/jpeg",
+		jpg  : "image/jpeg",
+		js   : "application/javascript",
+		json : "application/json",
+		map  : "application/json",
+		mp3  : "audio/mpeg",
+		mp4  : "video/mp4",
+		ogg  : "audio/ogg",
+		pdf  : "application/pdf",
+		png  : "image/png",
+		svg  : "image/svg+xml",
+		ttf  : "application/x-font-ttf",
+		txt  : "text/plain",
+		webm : "video/webm",
+		woff : "application/font-woff",
+		xml  : "application/xml",
+		zip  : "application/zip"
+	},
+
+	// Patterns of named routes
+	names : {},
+
+	// Navigation counter, used to discard stale guards
+	navigation : 0,
+
+	// Routing via history.pushState() ( Client only )
+	push : false,
 
 	// Routing listeners
 	routes : {},
 
+	/**
+	 * Lists the HTTP methods which a route.server() route answers, for an `Allow` header
+	 *
+	 * HEAD is implied by GET, and OPTIONS by any route
+	 *
+	 * @method allows
+	 * @param  {String} name Route to test, e.g. "/users/123"
+	 * @param  {String} host [Optional] Hostname to query
+	 * @return {Array}       Upper case HTTP methods, empty if the route doesn't exist
+	 */
+	allows : function ( name, host ) {
+		var hosts  = ["all"],
+		    result = [],
+		    match;
+
+		host = route.resolve( host, route.routes );
+		name = name.replace( /\#|\!\/|\?.*/g, "" );
+
+		if ( host !== "all" ) {
+			hosts.unshift( host );
+		}
+
+		// Determines if a verb has a route for `name`
+		match = function ( verb ) {
+			var found = false;
+
+			array.each( hosts, function ( h ) {
+				utility.iterate( route.routes[h][verb], function ( v, k ) {
+					if ( k !== "error" && ( k === name || route.compile( k ).pattern.test( name ) ) ) {
+						found = true;
+
+						return false;
+					}
+				});
+
+				return !found;
+			});
+
+			return found;
+		};
+
+		if ( match( "all" ) ) {
+			result = ["DELETE", "GET", "PATCH", "POST", "PUT"];
+		}
+		else {
+			array.each( ["delete", "get", "head", "options", "patch", "post", "put"], function ( i ) {
+				if ( match( i ) ) {
+					result.push( i.toUpperCase() );
+				}
+			});
+		}
+
+		if ( array.contains( result, "GET" ) && !array.contains( result, "HEAD" ) ) {
+			result.push( "HEAD" );
+		}
+
+		if ( result.length > 0 && !array.contains( result, "OPTIONS" ) ) {
+			result.push( "OPTIONS" );
+		}
+
+		return result.sort();
+	},
+
+	/**
+	 * Buffers & decodes the entity body of a route.server() request as `req.body`
+	 *
+	 * JSON is decoded with json.decode(), form data with route.query(), XML with xml.decode(), & multipart form
+	 * data into fields & files {filename, type, data}; bodies which can't be decoded are a 400, & XML is a 415
+	 * if the platform doesn't have a DOMParser
+	 *
+	 * @method body
+	 * @param  {Object}   req   HTTP request
+	 * @param  {Object}   res   HTTP response
+	 * @param  {Number}   limit Maximum size of the body in bytes
+	 * @param  {Function} fn    Executed when the body is decoded
+	 * @return {Undefined}      undefined
+	 */
+	body : function ( req, res, limit, fn ) {
+		var type   = req.headers["content-type"] || "",
+		    length = number.parse( req.headers["content-length"] || 0, 10 ),
+		    size   = 0,
+		    chunks = [],
+		    halted = false,
+		    reject, multipart;
+
+		// Responds with an error status, & stops reading the request
+		reject = function ( status ) {
+			halted = true;
+			res.writeHead( status, {Connection: "close"} );
+			res.end();
+		};
+
+		// Decodes a multipart body into fields & files
+		multipart = function ( body, boundary ) {
+			var result = {};
+
+			array.each( body.toString( "binary" ).split( "--" + boundary ), function ( i ) {
+				var idx = i.indexOf( "\r\n\r\n" ),
+				    head, name, filename, type, value;
+
+				if ( idx === -1 ) {
+					return;
+				}
+
+				head     = i.slice( 0, idx );
+				value    = i.slice( idx + 4 ).replace( /\r\n$/, "" );
+				name     = regex.multipart_name.exec( head );
+				filename = regex.multipart_filename.exec( head );
+				type     = /content-type:\s*([^\r\n]+)/i.exec( head );
+
+				if ( name === null ) {
+					return;
+				}
+
+				name  = name[1];
+				value = filename === null ? new Buffer( value, "binary" ).toString( "utf8" )
+				                          : {filename: filename[1], type: type !== null ? type[1] : "application/octet-stream", data: new Buffer( value, "binary" )};
+
+				if ( result[name] === undefined ) {
+					result[name] = value;
+				}
+				else if ( !( result[name] instanceof Array ) ) {
+					result[name] = [result[name], value];
+				}
+				else {
+					result[name].push( value );
+				}
+			});
+
+			return result;
+		};
+
+		if ( !regex.patch_post_put.test( req.method ) ) {
+			return fn();
+		}
+
+		if ( length > limit ) {
+			return reject( 413 );
+		}
+
+		req.on( "data", function ( arg ) {
+			if ( halted ) {
+				return;
+			}
+
+			size += arg.length;
+
+			if ( size > limit ) {
+				return reject( 413 );
+			}
+
+			chunks.push( arg );
+		});
+
+		req.on( "end", function () {
+			var body = Buffer.concat( chunks ),
+			    boundary;
+
+			if ( halted ) {
+				return;
+			}
+
+			if ( regex.multipart.test( type ) ) {
+				boundary = regex.multipart_boundary.exec( type );
+
+				if ( boundary === null ) {
+					return reject( 400 );
+				}
+
+				req.body = multipart( body, boundary[1] || boundary[2] );
+			}
+			else {
+				body = body.toString( "utf8" );
+
+				if ( regex.urlencoded.test( type ) ) {
+					try {
+						req.body = route.query( body, true );
+					}
+					catch ( e ) {
+						return reject( 400 );
+					}
+				}
+				else if ( regex.json_type.test( type ) && !string.isEmpty( body ) ) {
+					req.body = json.decode( body, true );
+
+					if ( req.body === undefined ) {
+						return reject( 400 );
+					}
+				}
+				else if ( regex.xml.test( type ) && !string.isEmpty( body ) ) {
+					// xml.decode() needs a DOMParser, which node.js doesn't have
+					if ( typeof DOMParser === "undefined" ) {
+						return reject( 415 );
+					}
+
+					req.body = xml.decode( body );
+
+					if ( req.body === undefined ) {
+						return reject( 400 );
+					}
+				}
+				else {
+					req.body = body;
+				}
+			}
+
+			fn();
+		});
+	},
+
+	/**
+	 * Fires the hash events if the route has changed ( Client only )
+	 *
+	 * @method change
+	 * @param  {String} arg Route, with an optional query string
+	 * @return {Boolean}    True if the route changed
+	 */
+	change : function ( arg ) {
+		var name = arg.replace( /\#|\!\/|\?.*/g, "" );
+
+		if ( $.route.current !== name || abaaso.route.current !== name ) {
+			abaaso.route.current = name;
+
+			if ( $.route.current !== abaaso.route.current ) {
+				// IE8 specific
+				$.route.current = abaaso.route.current;
+			}
+
+			observer.fire( abaaso, "beforeHash, hash, afterHash", arg );
+
+			return true;
+		}
+
+		return false;
+	},
+
+	/**
+	 * Compiles a route into a RegExp & the names of its parameters
+	 *
+	 * @method compile
+	 * @param  {String} arg Route
+	 * @return {Object}     Compiled route {keys: [], pattern: RegExp}
+	 */
+	compile : function ( arg ) {
+		var keys = [],
+		    pattern;
+
+		if ( route.compiled.hasOwnProperty( arg ) ) {
+			return route.compiled[arg];
+		}
+
+		pattern = arg.replace( regex.route_param, function ( match, type, key, optional ) {
+			var capture = type === "*" ? "(.*)" : "([^/]+)";
+
+			keys.push( key );
+
+			return optional === undefined || string.isEmpty( optional ) ? "/" + capture : "(?:/" + capture + ")?";
+		});
+
+		route.compiled[arg] = {keys: keys, pattern: new RegExp( "^" + pattern + "$" )};
+
+		return route.compiled[arg];
+	},
+
 	/**
 	 * Determines which HTTP method to use
 	 * 
@@ -47,6 +362,11 @@ var route = {
 				route.initial = null;
 			}
 
+			if ( route.meta[host] !== undefined && route.meta[host][verb] !== undefined && route.meta[host][verb][name] !== undefined ) {
+				delete route.names[route.meta[host][verb][name].name];
+				delete route.meta[host][verb][name];
+			}
+
 			return ( delete route.routes[host][verb][name] );
 		}
 		else {
@@ -55,7 +375,18 @@ var route = {
 	},
 
 	/**
-	 * Getter / setter for the hashbang
+	 * Generates an ETag for an entity body
+	 *
+	 * @method etag
+	 * @param  {Mixed} arg String or Buffer
+	 * @return {String}    ETag
+	 */
+	etag : function ( arg ) {
+		return "\"" + crypto.createHash( "md5" ).update( arg ).digest( "hex" ) + "\"";
+	},
+
+	/**
+	 * Getter / setter for the hashbang, or the URI in "history" mode
 	 * 
 	 * @method hash
 	 * @param  {String} arg Route to set
@@ -67,17 +398,49 @@ var route = {
 
 		if ( !server ) {
 			if ( arg === undefined ) {
-				output = document.location.hash.replace( regex, "" );
+				output = route.push ? ( route.relative( location.pathname ) || "" ) : document.location.hash.replace( regex, "" );
+			}
+			else if ( route.push ) {
+				arg = arg.replace( /\#|\!\/|^\//g, "" );
+				history.pushState( null, "", route.base + "/" + arg );
+				route.change( arg );
+				output = arg.replace( regex, "" );
 			}
 			else {
+				// Preserving the query string for route listeners
+				document.location.hash = "!/" + arg.replace( /\#|\!\//g, "" );
 				output = arg.replace( regex, "" );
-				document.location.hash = "!/" + output;
 			}
 		}
 
 		return output;
 	},
 
+	/**
+	 * Creates the response helper which is passed to route.server() listeners
+	 *
+	 * @method helper
+	 * @param  {Object} res HTTP response
+	 * @param  {Object} req HTTP request
+	 * @return {Object}     Response helper {redirect, respond, status, stream}
+	 */
+	helper : function ( res, req ) {
+		return {
+			redirect : function ( uri, permanent ) {
+				return route.redirect( res, req, uri, permanent );
+			},
+			respond : function ( body, status, headers ) {
+				return route.respond( res, req, body, status, headers );
+			},
+			status : function ( status, headers ) {
+				return route.status( res, req, status, headers );
+			},
+			stream : function ( arg, type, headers ) {
+				return route.stream( res, req, arg, type, headers );
+			}
+		};
+	},
+
 	/**
 	 * Creates a hostname entry in the routes table
 	 * 
@@ -90,6 +453,9 @@ var route = {
 				all      : {},
 				"delete" : {},
 				get      : {},
+				head     : {},
+				options  : {},
+				patch    : {},
 				post     : {},
 				put      : {}
 			};
@@ -105,9 +471,9 @@ var route = {
 	 * @return {Undefined} undefined
 	 */
 	init : function () {
-		var val = document.location.hash;
+		var val = route.push ? route.hash() : document.location.hash;
 
-		string.isEmpty( val ) ? route.hash( route.initial !== null ? route.initial : array.cast( route.routes.all.all, true ).remove( "error" )[0] ) : route.load( val );
+		string.isEmpty( val ) ? route.hash( route.initial !== null ? route.initial : array.cast( route.routes.all.all, true ).remove( "error" )[0] ) : route.load( route.push ? val + location.search : val );
 	},
 
 	/**
@@ -155,8 +521,57 @@ var route = {
 		return result;
 	},
 
+	/**
+	 * Gets the Content-Type of a file from its extension
+	 *
+	 * @method mime
+	 * @param  {String} arg File name or path
+	 * @return {String}     Content-Type, "application/octet-stream" if unknown
+	 */
+	mime : function ( arg ) {
+		var ext = regex.extension.exec( arg );
+
+		return ext !== null && route.mimetypes.hasOwnProperty( ext[1].toLowerCase() ) ? route.mimetypes[ext[1].toLowerCase()] : "application/octet-stream";
+	},
+
+	/**
+	 * Gets or sets the client routing mode, "hash" ( "#!/" ) or "history" ( history.pushState() )
+	 *
+	 * "history" mode intercepts same origin links within `base`, and falls back to "hash" if the
+	 * browser doesn't support history.pushState()
+	 *
+	 * @method mode
+	 * @param  {String} arg  [Optional] "hash" or "history"
+	 * @param  {String} base [Optional] Base path of the routes, e.g. "/app"
+	 * @return {String}      Routing mode
+	 */
+	mode : function ( arg, base ) {
+		if ( arg !== undefined ) {
+			if ( !/^(hash|history)$/.test( arg ) ) {
+				throw Error( label.error.invalidArguments );
+			}
+
+			route.base = ( base || "" ).replace( /\/+$/, "" );
+			route.push = ( !server && arg === "history" && typeof history.pushState === "function" );
+
+			// Moving a hashbang to a clean URI
+			if ( route.push && /^\#\!\//.test( location.hash ) ) {
+				history.replaceState( null, "", route.base + "/" + location.hash.replace( /\#|\!\//g, "" ) );
+			}
+		}
+
+		return route.push ? "history" : "hash";
+	},
+
 	/**
 	 * Loads the hash into the view
+	 *
+	 * Route listeners receive an Object describing the match as the third argument,
+	 * e.g. {host: "all", params: {id: "123"}, query: {}, route: "/users/:id", verb: "get"}, with decoded
+	 * String values ( see route.query() ), and route.server() listeners receive a response helper as the fourth argument
+	 *
+	 * `before` & `leave` guards of a route ( see route.set() ) are executed before the listener,
+	 * and the "beforeRoute", "afterRoute" & "failedRoute" events are fired on abaaso
 	 * 
 	 * @method load
 	 * @param  {String} name  Route to load
@@ -168,17 +583,18 @@ var route = {
 	load : function ( name, res, req, host ) {
 		req        = req  || "all";
 		host       = host || "all";
-		var active = "",
-		    path   = "",
-		    result = true,
-		    found  = false,
-		    verb   = route.method( req.method || req ),
-		    crawl, find;
+		var hostname = host,
+		    active   = "",
+		    path     = "",
+		    result   = true,
+		    verb     = route.method( req.method || req ),
+		    params   = {},
+		    guards   = [],
+		    uri      = name.replace( /\#|\!\//g, "" ),
+		    allow, args, cancel, crawl, find, meta, next, previous, query, run, token, verbs;
 
-		// Not a GET, but assuming the route is smart enough to strip the entity body
-		if ( regex.route_nget.test( verb ) ) {
-			verb = "get";
-		}
+		// Parsing the query string before it's stripped from the route
+		query = route.query( ( name.indexOf( "?" ) > -1 ? name : ( req.url || "" ) ).replace( /^[^\?]*\??/, "" ) );
 
 		// Public, private, local scope
 		name = name.replace( /\#|\!\/|\?.*/g, "" );
@@ -187,62 +603,96 @@ var route = {
 			route.current = name;
 		}
 
+		// HEAD falls back to GET, & OPTIONS is answered from the routing table if it's not routed
+		switch ( verb ) {
+			case "all":
+				verbs = ["all"];
+				break;
+			case "head":
+				verbs = ["head", "get", "all"];
+				break;
+			case "options":
+				verbs = ["options"];
+				break;
+			default:
+				verbs = [verb, "all"];
+		}
+
 		// Crawls the hostnames
-		crawl = function ( host, verb, name ) {
-			if ( route.routes[host][verb][name] !== undefined ) {
-				active = name;
-				path   = verb;
-			}
-			else if ( verb !== "all" && route.routes[host].all[name] !== undefined ) {
-				active = name;
-				path   = "all";
-			}
-			else {
-				utility.iterate( route.routes[host][verb], function ( v, k ) {
-					return find( k, verb, name );
-				});
+		crawl = function ( host, name ) {
+			array.each( verbs, function ( i ) {
+				if ( route.routes[host][i][name] !== undefined ) {
+					active = name;
+					path   = i;
 
-				if ( string.isEmpty( active ) && verb !== "all" ) {
-					utility.iterate( route.routes[host].all, function ( v, k ) {
-						return find( k, "all", name );
-					});
+					return false;
 				}
+			});
+
+			if ( string.isEmpty( active ) ) {
+				array.each( verbs, function ( i ) {
+					utility.iterate( route.routes[host][i], function ( v, k ) {
+						return find( k, i, name );
+					});
+
+					return string.isEmpty( active );
+				});
 			}
 		};
 
-		// Finds a match
+		// Finds a match, and extracts the parameters
 		find = function ( pattern, method, arg ) {
-			if ( utility.compile( route.reg, "^" + pattern + "$" ) && route.reg.test( arg ) ) {
+			var compiled = route.compile( pattern ),
+			    match    = compiled.pattern.exec( arg );
+
+			if ( match !== null ) {
 				active = pattern;
 				path   = method;
 
+				array.each( compiled.keys, function ( i, idx ) {
+					var value = match[idx + 1];
+
+					if ( value !== undefined ) {
+						try {
+							value = decodeURIComponent( value );
+						}
+						catch ( e ) {
+							void 0;
+						}
+					}
+
+					params[i] = value;
+				});
+
 				return false;
 			}
 		};
 
-		if ( host !== "all" && !route.routes.hasOwnProperty( host ) ) {
-			array.each( array.cast( route.routes, true ), function ( i ) {
-				var regex = new RegExp( i.replace(/^\*/, ".*") );
+		host = route.resolve( host, route.routes );
 
-				if ( regex.test( host ) ) {
-					host  = i;
-					found = true;
+		crawl( host, name );
 
-					return false;
-				}
-			});
-
-			if ( !found ) {
+		if ( string.isEmpty( active ) ) {
+			if ( host !== "all" ) {
 				host = "all";
+				crawl( host, name );
 			}
-		}
 
-		crawl( host, verb, name );
+			// OPTIONS is answered, and other methods are not allowed if the route exists
+			if ( string.isEmpty( active ) && server && res !== undefined ) {
+				allow = route.allows( name, hostname ).join( ", " );
 
-		if ( string.isEmpty( active ) ) {
-			if ( host !== "all" ) {
-				host = "all";
-				crawl( host, verb, name );
+				if ( !string.isEmpty( allow ) ) {
+					if ( verb === "options" ) {
+						route.status( res, req, 200, {"Access-Control-Allow-Methods": allow, Allow: allow, "Content-Length": 0} );
+
+						return result;
+					}
+
+					route.status( res, req, 405, {Allow: allow} );
+
+					return false;
+				}
 			}
 
 			if ( string.isEmpty( active ) ) {
@@ -252,87 +702,903 @@ var route = {
 			}
 		}
 
-		route.routes[host][path][active]( res || active, req );
+		args  = {body: req.body, host: host, params: params, query: query, route: active, verb: verb};
+		meta  = route.meta[host] !== undefined && route.meta[host][path] !== undefined ? route.meta[host][path][active] : undefined;
+		token = ++route.navigation;
 
-		return result;
-	},
-
-	/**
-	 * Resets the routes
-	 * 
-	 * @return {Undefined} undefined
-	 */
-	reset : function () {
-		route.routes = {
-			all : {
-				all : {
-					error : function () {
-						if ( !server ) {
-							if ( string.isEmpty( route.hash() ) ) {
-								return history.go( -1 );
-							}
-							else {
-								utility.error( label.error.invalidRoute );
-								if ( route.initial !== null ) {
-									route.hash( route.initial );
-								}
-							}
-						}
-						else {
-							throw Error( label.error.invalidRoute );
-						}
-					}
-				},
-				"delete" : {},
-				get      : {},
-				put      : {},
-				post     : {}
+		// Executes the route listener
+		run = function () {
+			if ( !server && token !== route.navigation ) {
+				return;
 			}
-		}
-	},
 
-	/**
-	 * Creates a Server with URI routing
-	 * 
-	 * @method server
-	 * @param  {Object}   arg  Server options
-	 * @param  {Function} fn   Error handler
-	 * @param  {Boolean}  ssl  Determines if HTTPS server is created
-	 * @return {Object}        Server
-	 */
-	server : function ( args, fn, ssl ) {
-		var handler, err, obj;
+			if ( server ) {
+				route.routes[host][path][active]( res || active, req, args, res !== undefined ? route.helper( res, req ) : undefined );
+			}
+			else {
+				route.matched = {args: args, chain: route.nest( active, args, req ), meta: meta, uri: uri};
+			}
 
-		if ( !server ) {
-			throw Error( label.error.notSupported );
-		}
+			// An unmatched route has fired "failedRoute"
+			if ( result ) {
+				observer.fire( abaaso, "afterRoute", args );
+			}
+		};
 
-		args = args || {};
-		ssl  = ( ssl === true || args.port === 443 );
+		// Cancels the navigation, restoring the previous route
+		cancel = function ( e ) {
+			if ( !server && token !== route.navigation ) {
+				return;
+			}
 
-		// Request handler
-		handler = function ( req, res ) {
-			var parsed   = url.parse( req.url ),
-			    hostname = req.headers.host.replace( regex.header_replace, "" );
+			if ( e !== undefined ) {
+				args.error = e;
+			}
 
-			route.load( parsed.pathname, res, req, hostname );
-		};
+			observer.fire( abaaso, "failedRoute", args );
 
-		// Error handler
-		err = function ( e ) {
-			error( e, this, arguments );
+			if ( server ) {
+				if ( res !== undefined ) {
+					route.status( res, req, e !== undefined ? 500 : 403 );
+				}
+			}
+			else {
+				previous = route.matched !== null ? route.matched.uri : "";
+				route.current = previous.replace( /\?.*/, "" );
+				abaaso.route.current = $.route.current = route.current;
 
-			if ( typeof fn === "function" ) {
-				fn( e );
+				if ( route.push ) {
+					history.replaceState( null, "", route.base + "/" + previous );
+				}
+				// The hash change added an entry, so go back over it instead of duplicating the previous one
+				else if ( route.hash() === name ) {
+					history.go( -1 );
+				}
+				else if ( typeof history.replaceState === "function" ) {
+					history.replaceState( null, "", "#!/" + previous );
+				}
+				else {
+					document.location.hash = "!/" + previous;
+				}
 			}
 		};
 
-		// Enabling routing, in case it's not explicitly enabled prior to route.server()
-		route.enabled = true;
+		// Runs the guards in sequence; `false` cancels the navigation, and a String redirects it
+		next = function ( idx ) {
+			var outcome, decide;
 
-		// Server parameters
-		args.host = args.host || undefined;
-		args.port = args.port || 8000;
+			if ( idx >= guards.length ) {
+				return run();
+			}
+
+			decide = function ( arg ) {
+				if ( arg === false ) {
+					cancel();
+				}
+				else if ( typeof arg === "string" ) {
+					if ( server ) {
+						route.redirect( res, req, arg );
+					}
+					else if ( token === route.navigation ) {
+						route.hash( arg );
+					}
+				}
+				else {
+					next( idx + 1 );
+				}
+			};
+
+			try {
+				outcome = guards[idx]( args );
+			}
+			catch ( e ) {
+				return cancel( e );
+			}
+
+			if ( outcome !== null && typeof outcome === "object" && typeof outcome.then === "function" ) {
+				outcome.then( decide, function ( e ) {
+					cancel( e instanceof Error ? e : Error( e ) );
+				});
+			}
+			else {
+				decide( outcome );
+			}
+		};
+
+		observer.fire( abaaso, "beforeRoute", args );
+
+		if ( !result ) {
+			observer.fire( abaaso, "failedRoute", args );
+		}
+		else {
+			if ( !server && route.matched !== null && route.matched.uri !== uri && route.matched.meta !== undefined && typeof route.matched.meta.leave === "function" ) {
+				guards.push( route.matched.meta.leave );
+			}
+
+			if ( meta !== undefined && typeof meta.before === "function" ) {
+				guards.push( meta.before );
+			}
+		}
+
+		next( 0 );
+
+		return result;
+	},
+
+	/**
+	 * Renders a client route & its ancestors, skipping ancestors which are still rendered, and
+	 * tearing down the routes which are left ( Client only )
+	 *
+	 * A parent renders a layout with an `outlet` ( Element or "#id" ), which its children receive as
+	 * `args.outlet`; listeners can return DataLists ( or an Array of them ) to be torn down on leave
+	 *
+	 * @method nest
+	 * @param  {String} name Route pattern
+	 * @param  {Object} args Object describing the match
+	 * @param  {String} req  Request, "all" on the client
+	 * @return {Array}       Routes rendered, root first
+	 */
+	nest : function ( name, args, req ) {
+		var meta     = route.meta.all !== undefined && route.meta.all.all !== undefined ? route.meta.all.all : {},
+		    previous = route.matched !== null ? route.matched.chain : [],
+		    chain    = [],
+		    idx      = 0,
+		    i        = name,
+		    same;
+
+		// Determines if a rendered ancestor is matched with the same parameters
+		same = function ( a, b ) {
+			var result = ( a.route === b.route );
+
+			if ( result ) {
+				array.each( route.compile( a.route ).keys, function ( k ) {
+					result = ( a.args.params[k] === args.params[k] );
+
+					return result;
+				});
+			}
+
+			return result;
+		};
+
+		while ( i !== undefined ) {
+			chain.unshift( {args: null, meta: meta[i], route: i, views: []} );
+			i = meta[i] !== undefined ? meta[i].parent : undefined;
+		}
+
+		while ( idx < chain.length - 1 && idx < previous.length && same( previous[idx], chain[idx] ) ) {
+			chain[idx] = previous[idx];
+			idx++;
+		}
+
+		// Tearing down the routes which were left, deepest first
+		i = previous.length;
+		while ( i-- > idx ) {
+			if ( previous[i].meta !== undefined && typeof previous[i].meta.teardown === "function" ) {
+				previous[i].meta.teardown( previous[i].args );
+			}
+
+			array.each( previous[i].views, function ( v ) {
+				v.teardown();
+			});
+		}
+
+		// Rendering the routes which were entered, root first
+		array.each( chain, function ( v, n ) {
+			var output;
+
+			if ( n < idx ) {
+				return;
+			}
+
+			v.args        = n === chain.length - 1 ? args : {body: args.body, host: args.host, params: args.params, query: args.query, route: v.route, verb: args.verb};
+			v.args.outlet = n > 0 && chain[n - 1].meta !== undefined && chain[n - 1].meta.outlet !== undefined ? utility.object( chain[n - 1].meta.outlet ) : undefined;
+			output        = route.routes.all.all[v.route]( v.route, req, v.args );
+
+			array.each( output instanceof Array ? output : [output], function ( i ) {
+				if ( i !== null && typeof i === "object" && typeof i.teardown === "function" ) {
+					v.views.push( i );
+				}
+			});
+		});
+
+		return chain;
+	},
+
+	/**
+	 * Makes a path relative to the base path of "history" mode
+	 *
+	 * @method relative
+	 * @param  {String} arg Path, e.g. "/app/users/123"
+	 * @return {Mixed}      Route, e.g. "users/123", or null if outside of the base path
+	 */
+	relative : function ( arg ) {
+		if ( !string.isEmpty( route.base ) ) {
+			if ( arg !== route.base && arg.indexOf( route.base + "/" ) !== 0 ) {
+				return null;
+			}
+
+			arg = arg.substring( route.base.length );
+		}
+
+		return arg.replace( /^\//, "" );
+	},
+
+	/**
+	 * Resolves a hostname against the hostnames of a routing table
+	 *
+	 * Hostnames can begin with "*" to match sub domains, e.g. "*.domain.com"
+	 * 
+	 * @method resolve
+	 * @param  {String} host  Hostname
+	 * @param  {Object} table Routing table, e.g. route.routes
+	 * @return {String}       Hostname of the table, "all" if not found
+	 */
+	resolve : function ( host, table ) {
+		var result = "all";
+
+		if ( host === undefined || host === "all" ) {
+			return result;
+		}
+		else if ( table.hasOwnProperty( host ) ) {
+			return host;
+		}
+
+		array.each( array.cast( table, true ), function ( i ) {
+			var regex = new RegExp( i.replace(/^\*/, ".*") );
+
+			if ( regex.test( host ) ) {
+				result = i;
+
+				return false;
+			}
+		});
+
+		return result;
+	},
+
+	/**
+	 * Exposes a DataStore as a RESTful API on route.server(), e.g. route.resource( "/users", users )
+	 *
+	 * The collection answers GET with `order` ( see store.sort() ), `start` & `limit` ( see store.get() ), &
+	 * field filters ( compared as Strings ) from the query string, and POST; records answer GET, PUT, PATCH
+	 * & DELETE. Records are represented with their key as the store's `key` field, or "id"
+	 *
+	 * Requires route.server( {body: true} ) to decode entity bodies
+	 *
+	 * @method resource
+	 * @param  {String} uri  Path of the collection, e.g. "/users"
+	 * @param  {Object} obj  DataStore, or Object decorated with a DataStore
+	 * @param  {String} host [Optional] Hostname to route
+	 * @return {Boolean}     True
+	 */
+	resource : function ( uri, obj, host ) {
+		var store = obj instanceof DataStore ? obj : ( obj !== null && typeof obj === "object" ? obj.data : undefined ),
+		    item, field, represent, invalid, failure;
+
+		if ( typeof uri !== "string" || string.isEmpty( uri ) || !( store instanceof DataStore ) ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		uri   = uri.replace( /\/$/, "" );
+		item  = uri + "/:key";
+		field = store.key || "id";
+
+		// Representation of a record
+		represent = function ( rec ) {
+			var result = {};
+
+			result[field] = rec.key;
+
+			utility.iterate( rec.data, function ( v, k ) {
+				result[k] = v;
+			});
+
+			return result;
+		};
+
+		// Determines if an entity body can be set as a record
+		invalid = function ( body ) {
+			return ( body === null || typeof body !== "object" || body instanceof Array );
+		};
+
+		// Responds to a failed store operation
+		failure = function ( out ) {
+			return function () {
+				out.status( 500 );
+			};
+		};
+
+		route.set( uri, function ( res, req, args, out ) {
+			var where   = {},
+			    filter  = false,
+			    order   = ( args.query.order || "" ).toString(),
+			    start   = number.parse( args.query.start || 0, 10 ),
+			    limit   = number.parse( args.query.limit || 0, 10 ),
+			    result  = [],
+			    records, selected;
+
+			// Query string values are Strings, so fields are compared as Strings; repeated keys match any value
+			utility.iterate( args.query, function ( v, k ) {
+				var values = ( v instanceof Array ? v : [v] ).map( function ( i ) {
+					return i.toString();
+				});
+
+				if ( !regex.resource_query.test( k ) ) {
+					where[k] = function ( value ) {
+						return value !== undefined && value !== null && array.contains( values, value.toString() );
+					};
+
+					filter = true;
+				}
+			});
+
+			if ( isNaN( start ) || isNaN( limit ) || start < 0 || limit < 0 ) {
+				return out.status( 400 );
+			}
+
+			if ( !string.isEmpty( order ) ) {
+				records = store.sort( order );
+
+				if ( filter ) {
+					selected = {};
+
+					array.each( store.select( where ), function ( i ) {
+						selected[i.key] = true;
+					});
+
+					records = records.filter( function ( i ) {
+						return selected[i.key] === true;
+					});
+				}
+			}
+			else if ( filter ) {
+				records = store.select( where );
+			}
+			else if ( limit > 0 ) {
+				records = store.get( start, limit );
+			}
+			else {
+				records = store.records;
+			}
+
+			if ( limit > 0 && ( filter || !string.isEmpty( order ) ) ) {
+				records = array.limit( records, start, limit );
+			}
+			else if ( limit === 0 && start > 0 ) {
+				records = records.slice( start );
+			}
+
+			array.each( records, function ( i ) {
+				result.push( represent( i ) );
+			});
+
+			out.respond( result );
+		}, "get", host );
+
+		route.set( uri, function ( res, req, args, out ) {
+			var key = invalid( req.body ) ? undefined : req.body[field];
+
+			if ( key === undefined ) {
+				if ( invalid( req.body ) ) {
+					return out.status( 400 );
+				}
+			}
+			else if ( store.get( key.toString() ) !== undefined ) {
+				return out.status( 409 );
+			}
+
+			if ( key === undefined && store.key === null ) {
+				key = utility.uuid();
+			}
+
+			store.set( key !== undefined ? key.toString() : null, req.body ).then( function ( arg ) {
+				out.respond( represent( store.get( arg.key ) ), 201, {Location: uri + "/" + encodeURIComponent( arg.key )} );
+			}, failure( out ) );
+		}, "post", host );
+
+		route.set( item, function ( res, req, args, out ) {
+			var rec = store.get( args.params.key );
+
+			rec !== undefined ? out.respond( represent( rec ) ) : out.status( 404 );
+		}, "get", host );
+
+		route.set( item, function ( res, req, args, out ) {
+			var created = ( store.get( args.params.key ) === undefined );
+
+			if ( invalid( req.body ) ) {
+				return out.status( 400 );
+			}
+
+			store.set( args.params.key, req.body ).then( function () {
+				out.respond( represent( store.get( args.params.key ) ), created ? 201 : 200 );
+			}, failure( out ) );
+		}, "put", host );
+
+		route.set( item, function ( res, req, args, out ) {
+			if ( store.get( args.params.key ) === undefined ) {
+				return out.status( 404 );
+			}
+			else if ( invalid( req.body ) ) {
+				return out.status( 400 );
+			}
+
+			store.update( args.params.key, req.body ).then( function () {
+				out.respond( represent( store.get( args.params.key ) ) );
+			}, failure( out ) );
+		}, "patch", host );
+
+		route.set( item, function ( res, req, args, out ) {
+			if ( store.get( args.params.key ) === undefined ) {
+				return out.status( 404 );
+			}
+
+			store.del( args.params.key ).then( function () {
+				out.status( 204 );
+			}, failure( out ) );
+		}, "delete", host );
+
+		return true;
+	},
+
+	/**
+	 * Sends a response to a route.server() request
+	 *
+	 * Objects & Arrays are encoded as JSON, or XML if the Accept header names an XML media type with a higher
+	 * quality than JSON, or doesn't accept JSON; successful responses to GET requests receive an ETag,
+	 * and a 304 is sent if the client's representation is current
+	 *
+	 * @method respond
+	 * @param  {Object} res     HTTP response
+	 * @param  {Object} req     HTTP request
+	 * @param  {Mixed}  body    [Optional] Entity body
+	 * @param  {Number} status  [Optional] HTTP status, default is 200 ( 204 without a body )
+	 * @param  {Object} headers [Optional] HTTP headers
+	 * @return {Undefined}      undefined
+	 */
+	respond : function ( res, req, body, status, headers ) {
+		var empty  = ( body === undefined || body === null ),
+		    get    = regex.get_headers.test( req.method.toLowerCase() ),
+		    ranges = [],
+		    allow, quality, type, xmlQ;
+
+		// Parsing the Accept header into media ranges & their quality
+		array.each( string.explode( req.headers.accept || "" ), function ( i ) {
+			var params = string.explode( i, ";" ),
+			    q      = 1;
+
+			array.each( params.slice( 1 ), function ( p ) {
+				p = string.explode( p, "=" );
+
+				if ( p[0] === "q" && !isNaN( number.parse( p[1] ) ) ) {
+					q = number.parse( p[1] );
+				}
+			});
+
+			ranges.push( {type: params[0].toLowerCase(), q: q} );
+		});
+
+		// Quality of the most specific range matching a media type; -1 if it's not named, & 0 if it's not acceptable
+		quality = function ( type, exact ) {
+			var result = -1,
+			    rank   = -1;
+
+			array.each( ranges, function ( i ) {
+				var match = -1;
+
+				if ( i.type === type ) {
+					match = 2;
+				}
+				else if ( exact !== true ) {
+					match = i.type === "*/*" ? 0 : ( i.type === type.replace( /\/.*/, "/*" ) ? 1 : -1 );
+				}
+
+				if ( match > rank ) {
+					rank   = match;
+					result = i.q;
+				}
+			});
+
+			return result;
+		};
+
+		status  = status || ( empty ? 204 : 200 );
+		headers = utility.merge( {}, headers || {} );
+
+		if ( !empty && !( body instanceof Buffer ) ) {
+			if ( typeof body === "object" ) {
+				xmlQ = Math.max( quality( "application/xml", true ), quality( "text/xml", true ) );
+
+				if ( xmlQ > 0 && ( quality( "application/json" ) <= 0 || ( quality( "application/json", true ) > -1 && xmlQ > quality( "application/json", true ) ) ) ) {
+					body = xml.encode( body );
+					type = "application/xml";
+				}
+				else {
+					body = json.encode( body );
+					type = "application/json";
+				}
+			}
+			else {
+				body = body.toString();
+				type = "text/plain";
+			}
+
+			type += "; charset=utf-8";
+		}
+		else if ( !empty ) {
+			type = "application/octet-stream";
+		}
+
+		if ( type !== undefined && headers["Content-Type"] === undefined ) {
+			headers["Content-Type"] = type;
+		}
+
+		// Permissions of the URI, as read by client.bit()
+		if ( headers.Allow === undefined ) {
+			allow = route.allows( url.parse( req.url ).pathname, ( req.headers.host || "" ).replace( regex.header_replace, "" ) );
+
+			if ( allow.length > 0 ) {
+				headers.Allow = allow.join( ", " );
+			}
+		}
+
+		if ( headers["Cache-Control"] === undefined ) {
+			headers["Cache-Control"] = get && status === 200 ? "public, max-age=" + ( $.expires / 1000 ) : "no-cache";
+		}
+
+		if ( !empty ) {
+			if ( get && status === 200 ) {
+				if ( headers.ETag === undefined ) {
+					headers.ETag = route.etag( body );
+				}
+
+				if ( req.headers["if-none-match"] === headers.ETag ) {
+					status = 304;
+					empty  = true;
+				}
+			}
+
+			if ( !empty ) {
+				headers["Content-Length"] = body instanceof Buffer ? body.length : Buffer.byteLength( body );
+			}
+		}
+
+		res.writeHead( status, headers );
+		empty ? res.end() : res.end( body );
+	},
+
+	/**
+	 * Runs the middleware for a route.server() request, and then loads the route
+	 *
+	 * Middleware is executed in the order it was registered; all hosts & verbs, the request verb,
+	 * and then the same for the request hostname. Calling `next()` continues the pipeline, calling
+	 * `next( e )` with an Error loads the `error` route, & not calling `next()` halts the request. The default
+	 * `error` route responds with a 500, or a 404 if the request didn't match a route
+	 *
+	 * @method process
+	 * @param  {Object} req   HTTP request
+	 * @param  {Object} res   HTTP response
+	 * @param  {String} host  Hostname of the request
+	 * @param  {Number} limit [Optional] Maximum size of an entity body to decode, bodies are not decoded if omitted
+	 * @return {Undefined}    undefined
+	 */
+	process : function ( req, res, host, limit ) {
+		var verb  = route.method( req.method ),
+		    name  = url.parse( req.url ).pathname,
+		    match = route.resolve( host, route.middleware ),
+		    queue = [],
+		    i     = -1,
+		    next;
+
+		array.each( match !== "all" ? ["all", match] : ["all"], function ( h ) {
+			array.each( verb !== "all" ? ["all", verb] : ["all"], function ( v ) {
+				if ( route.middleware[h] !== undefined && route.middleware[h][v] instanceof Array ) {
+					queue = queue.concat( route.middleware[h][v] );
+				}
+			});
+		});
+
+		next = function ( e ) {
+			var passed = false,
+			    fn, routes, step;
+
+			if ( e !== undefined && e !== null ) {
+				routes = route.routes[route.resolve( host, route.routes )];
+
+				return ( routes.all.error || route.routes.all.all.error )( res, req, {error: e, host: host, params: {}, query: route.query( req.url.replace( /^[^\?]*\??/, "" ) ), route: "error", verb: verb}, route.helper( res, req ) );
+			}
+
+			fn = queue[++i];
+
+			if ( fn === undefined ) {
+				if ( limit === undefined || limit === null ) {
+					return route.load( name, res, req, host );
+				}
+
+				return route.body( req, res, limit, function () {
+					route.load( name, res, req, host );
+				});
+			}
+
+			step = function ( e ) {
+				passed = true;
+				next( e );
+			};
+
+			// Only errors thrown by the middleware are routed, the rest of the pipeline is not retried
+			try {
+				fn( res, req, step );
+			}
+			catch ( e ) {
+				if ( passed ) {
+					throw e;
+				}
+
+				next( e );
+			}
+		};
+
+		next();
+	},
+
+	/**
+	 * Parses a query string, or a form encoded entity body, into decoded Strings; repeated keys are Arrays
+	 *
+	 * Values are not coerced, so they round trip with route.url()
+	 *
+	 * @method query
+	 * @param  {String}  arg    Query string without the "?", e.g. "q=a%20b&n=007"
+	 * @param  {Boolean} strict [Optional] `true` throws a URIError on malformed escapes, otherwise they're kept as is
+	 * @return {Object}         Parameters
+	 */
+	query : function ( arg, strict ) {
+		var result = {},
+		    decode;
+
+		// Decodes a key or value, "+" is a space
+		decode = function ( value ) {
+			value = value.replace( /\+/g, " " );
+
+			try {
+				return decodeURIComponent( value );
+			}
+			catch ( e ) {
+				if ( strict === true ) {
+					throw e;
+				}
+
+				return value;
+			}
+		};
+
+		array.each( arg.split( "&" ), function ( i ) {
+			var idx = i.indexOf( "=" ),
+			    key, value;
+
+			if ( string.isEmpty( i ) ) {
+				return;
+			}
+
+			key   = decode( idx > -1 ? i.slice( 0, idx ) : i );
+			value = idx > -1 ? decode( i.slice( idx + 1 ) ) : "";
+
+			if ( string.isEmpty( key ) ) {
+				return;
+			}
+
+			if ( !result.hasOwnProperty( key ) ) {
+				result[key] = value;
+			}
+			else if ( !( result[key] instanceof Array ) ) {
+				result[key] = [result[key], value];
+			}
+			else {
+				result[key].push( value );
+			}
+		});
+
+		return result;
+	},
+
+	/**
+	 * Redirects a route.server() request
+	 *
+	 * @method redirect
+	 * @param  {Object}  res       HTTP response
+	 * @param  {Object}  req       HTTP request
+	 * @param  {String}  uri       URI to redirect to
+	 * @param  {Boolean} permanent [Optional] `true` sends a 301, default is a 302
+	 * @return {Undefined}         undefined
+	 */
+	redirect : function ( res, req, uri, permanent ) {
+		if ( typeof uri !== "string" || string.isEmpty( uri ) ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		res.writeHead( permanent === true ? 301 : 302, {Location: uri} );
+		res.end();
+	},
+
+	/**
+	 * Resets the routes & middleware
+	 * 
+	 * @return {Undefined} undefined
+	 */
+	reset : function () {
+		route.matched    = null;
+		route.meta       = {};
+		route.middleware = {};
+		route.names      = {};
+		route.routes = {
+			all : {
+				all : {
+					error : function ( res, req, args ) {
+						if ( !server ) {
+							if ( string.isEmpty( route.hash() ) ) {
+								return history.go( -1 );
+							}
+							else {
+								utility.error( label.error.invalidRoute );
+								if ( route.initial !== null ) {
+									route.hash( route.initial );
+								}
+							}
+						}
+						else if ( res instanceof Object && typeof res.writeHead === "function" ) {
+							if ( args.error !== undefined ) {
+								utility.error( args.error );
+							}
+
+							if ( res.headersSent ) {
+								res.end();
+							}
+							else {
+								route.status( res, req, args.error !== undefined ? 500 : 404 );
+							}
+						}
+						else {
+							throw Error( label.error.invalidRoute );
+						}
+					}
+				},
+				"delete" : {},
+				get      : {},
+				head     : {},
+				options  : {},
+				patch    : {},
+				post     : {},
+				put      : {}
+			}
+		}
+	},
+
+	/**
+	 * Creates a route listener which serves the files of a directory, e.g.
+	 * route.set( "/assets/*path", route.serve( "/srv/assets" ), "get", "example.com" )
+	 *
+	 * The file is the `path` parameter of the route, or the request path if the route doesn't have one;
+	 * directories are answered with an index file, and paths outside of `root` are forbidden
+	 *
+	 * @method serve
+	 * @param  {String} root  Directory to serve
+	 * @param  {Array}  index [Optional] Index files, default is ["index.html", "index.htm"]
+	 * @return {Function}     Route listener
+	 */
+	serve : function ( root, index ) {
+		if ( typeof root !== "string" || string.isEmpty( root ) ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		root  = root.replace( /[\/\\]+$/, "" );
+		index = index || ["index.html", "index.htm"];
+
+		return function ( res, req, args ) {
+			var parsed = url.parse( req.url ),
+			    file   = args.params.path,
+			    parts  = [],
+			    valid  = true,
+			    find;
+
+			if ( !args.params.hasOwnProperty( "path" ) ) {
+				try {
+					file = decodeURIComponent( parsed.pathname );
+				}
+				catch ( e ) {
+					return route.status( res, req, 400 );
+				}
+			}
+
+			array.each( ( file || "" ).split( /[\/\\]+/ ), function ( i ) {
+				if ( i === ".." || i.indexOf( "\0" ) > -1 ) {
+					valid = false;
+
+					return false;
+				}
+				else if ( !string.isEmpty( i ) && i !== "." ) {
+					parts.push( i );
+				}
+			});
+
+			if ( !valid ) {
+				return route.status( res, req, 403 );
+			}
+
+			file = root + "/" + parts.join( "/" );
+
+			// Finds the index file of a directory
+			find = function ( idx ) {
+				if ( idx >= index.length ) {
+					return route.status( res, req, 404 );
+				}
+
+				fs.stat( file + "/" + index[idx], function ( e, stats ) {
+					e === null && stats.isFile() ? route.stream( res, req, file + "/" + index[idx] ) : find( idx + 1 );
+				});
+			};
+
+			fs.stat( file, function ( e, stats ) {
+				if ( e !== null ) {
+					route.status( res, req, 404 );
+				}
+				else if ( !stats.isDirectory() ) {
+					route.stream( res, req, file );
+				}
+				// Relative URIs in the index file resolve against the trailing slash
+				else if ( !/\/$/.test( parsed.pathname ) ) {
+					route.redirect( res, req, parsed.pathname + "/" + ( parsed.search || "" ) );
+				}
+				else {
+					find( 0 );
+				}
+			});
+		};
+	},
+
+	/**
+	 * Creates a Server with URI routing
+	 *
+	 * Entity bodies of PATCH, POST & PUT requests are decoded as `req.body` when `args.body` is `true`,
+	 * & bodies larger than `args.limit` ( bytes, default is 1048576 ) receive a 413 response
+	 * 
+	 * @method server
+	 * @param  {Object}   arg  Server options
+	 * @param  {Function} fn   Error handler
+	 * @param  {Boolean}  ssl  Determines if HTTPS server is created
+	 * @return {Object}        Server
+	 */
+	server : function ( args, fn, ssl ) {
+		var handler, err, obj, limit;
+
+		if ( !server ) {
+			throw Error( label.error.notSupported );
+		}
+
+		args  = args || {};
+		ssl   = ( ssl === true || args.port === 443 );
+		limit = args.body === true ? ( args.limit || 1048576 ) : null;
+
+		// Request handler
+		handler = function ( req, res ) {
+			var hostname = req.headers.host.replace( regex.header_replace, "" );
+
+			route.process( req, res, hostname, limit );
+		};
+
+		// Error handler
+		err = function ( e ) {
+			error( e, this, arguments );
+
+			if ( typeof fn === "function" ) {
+				fn( e );
+			}
+		};
+
+		// Enabling routing, in case it's not explicitly enabled prior to route.server()
+		route.enabled = true;
+
+		// Server parameters
+		args.host = args.host || undefined;
+		args.port = args.port || 8000;
 
 		// Creating server
 		obj = !ssl ? http.createServer( handler ).on( "error", err ).listen( args.port, args.host )
@@ -344,22 +1610,288 @@ var route = {
 	/**
 	 * Sets a route for a URI
 	 * 
+	 * `fn` can be an Object with the listener as `fn`, an optional `name` for route.url(), and optional
+	 * `before` & `leave` guards which receive the Object describing the match; a guard can return
+	 * `false` to cancel the navigation, a String to redirect it, or a Promise of either
+	 *
+	 * Nested routes are set as `children` ( Object of relative patterns & listeners or Objects ), which
+	 * render into the `outlet` of the parent, and have an optional `teardown` hook ( see route.nest() )
+	 *
 	 * @method set
-	 * @param  {String}   name  Regex pattern for the route
-	 * @param  {Function} fn    Route listener
-	 * @param  {String}   verb  HTTP method the route is for ( default is GET )
-	 * @return {Mixed}          True or undefined
+	 * @param  {String} name  Regex pattern for the route
+	 * @param  {Mixed}  fn    Route listener, or Object describing the route
+	 * @param  {String} verb  HTTP method the route is for ( default is GET )
+	 * @return {Mixed}        True or undefined
 	 */
 	set : function ( name, fn, verb, host ) {
 		host = server ? ( host || "all" )    : "all";
 		verb = server ? route.method( verb ) : "all";
+		var meta;
+
+		if ( fn !== null && typeof fn === "object" ) {
+			meta = fn;
+			fn   = meta.fn;
+		}
 
 		if ( typeof name !== "string" || string.isEmpty( name ) || typeof fn !== "function") {
 			throw Error( label.error.invalidArguments );
 		}
 
+		route.compile( name );
 		route.hostname( host )[verb][name] = fn;
 
+		if ( route.meta[host] === undefined ) {
+			route.meta[host] = {};
+		}
+
+		if ( route.meta[host][verb] === undefined ) {
+			route.meta[host][verb] = {};
+		}
+
+		if ( meta !== undefined ) {
+			route.meta[host][verb][name] = meta;
+
+			if ( typeof meta.name === "string" && !string.isEmpty( meta.name ) ) {
+				route.names[meta.name] = name;
+			}
+
+			if ( meta.children !== undefined ) {
+				utility.iterate( meta.children, function ( v, k ) {
+					var child = {fn: v};
+
+					if ( typeof v !== "function" ) {
+						child = {};
+
+						utility.iterate( v, function ( value, key ) {
+							child[key] = value;
+						});
+					}
+
+					child.parent = name;
+					route.set( name.replace( /\/$/, "" ) + "/" + k.replace( /^\//, "" ), child, verb, host );
+				});
+			}
+		}
+		else {
+			delete route.meta[host][verb][name];
+		}
+
+		return true;
+	},
+
+	/**
+	 * Sends an empty response to a route.server() request
+	 *
+	 * @method status
+	 * @param  {Object} res     HTTP response
+	 * @param  {Object} req     HTTP request
+	 * @param  {Number} status  HTTP status
+	 * @param  {Object} headers [Optional] HTTP headers
+	 * @return {Undefined}      undefined
+	 */
+	status : function ( res, req, status, headers ) {
+		if ( isNaN( status ) ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		res.writeHead( status, headers || {} );
+		res.end();
+	},
+
+	/**
+	 * Streams a file, Buffer or readable Stream to a route.server() request
+	 *
+	 * Files are revalidated with the If-None-Match & If-Modified-Since headers, and a single
+	 * byte range can be requested with the Range header
+	 *
+	 * @method stream
+	 * @param  {Object} res     HTTP response
+	 * @param  {Object} req     HTTP request
+	 * @param  {Mixed}  arg     Path to a file, Buffer or readable Stream
+	 * @param  {String} type    [Optional] Content-Type, default is detected from the file extension or "application/octet-stream"
+	 * @param  {Object} headers [Optional] HTTP headers
+	 * @return {Undefined}      undefined
+	 */
+	stream : function ( res, req, arg, type, headers ) {
+		var failure;
+
+		headers = utility.merge( {}, headers || {} );
+		headers["Content-Type"] = type || headers["Content-Type"] || ( typeof arg === "string" ? route.mime( arg ) : "application/octet-stream" );
+
+		// Read errors send a 500, or end the response if it has started
+		failure = function () {
+			if ( res.headersSent ) {
+				res.end();
+			}
+			else {
+				route.status( res, req, 500 );
+			}
+		};
+
+		if ( arg instanceof Buffer ) {
+			return route.respond( res, req, arg, 200, headers );
+		}
+		else if ( arg !== null && typeof arg === "object" && typeof arg.pipe === "function" ) {
+			arg.on( "error", failure );
+			res.writeHead( 200, headers );
+
+			return arg.pipe( res );
+		}
+		else if ( typeof arg !== "string" || string.isEmpty( arg ) ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		fs.stat( arg, function ( e, stats ) {
+			var status = 200,
+			    start  = 0,
+			    end    = stats !== undefined ? stats.size - 1 : 0,
+			    modified, range, file;
+
+			if ( e !== null || !stats.isFile() ) {
+				return route.status( res, req, 404 );
+			}
+
+			headers["Accept-Ranges"] = "bytes";
+			headers.ETag             = "\"" + stats.size.toString( 16 ) + "-" + stats.mtime.getTime().toString( 16 ) + "\"";
+			headers["Last-Modified"] = stats.mtime.toUTCString();
+			modified                 = req.headers["if-modified-since"];
+
+			if ( req.headers["if-none-match"] === headers.ETag || ( req.headers["if-none-match"] === undefined && modified !== undefined && Math.floor( stats.mtime.getTime() / 1000 ) <= Date.parse( modified ) / 1000 ) ) {
+				delete headers["Content-Type"];
+
+				return route.status( res, req, 304, headers );
+			}
+
+			// Partial content, unless the representation has changed since the range was requested
+			range = regex.range.exec( req.headers.range || "" );
+
+			if ( range !== null && ( req.headers["if-range"] === undefined || req.headers["if-range"] === headers.ETag ) ) {
+				if ( string.isEmpty( range[1] ) ) {
+					start = string.isEmpty( range[2] ) ? stats.size : Math.max( stats.size - number.parse( range[2], 10 ), 0 );
+				}
+				else {
+					start = number.parse( range[1], 10 );
+
+					if ( !string.isEmpty( range[2] ) ) {
+						end = Math.min( number.parse( range[2], 10 ), end );
+					}
+				}
+
+				if ( start > end ) {
+					delete headers["Content-Type"];
+
+					return route.status( res, req, 416, {"Content-Range": "bytes */" + stats.size} );
+				}
+
+				status                   = 206;
+				headers["Content-Range"] = "bytes " + start + "-" + end + "/" + stats.size;
+			}
+
+			headers["Content-Length"] = end - start + 1;
+
+			if ( headers["Cache-Control"] === undefined ) {
+				headers["Cache-Control"] = "public, max-age=" + ( $.expires / 1000 );
+			}
+
+			if ( req.method === "HEAD" || headers["Content-Length"] === 0 ) {
+				res.writeHead( status, headers );
+
+				return res.end();
+			}
+
+			// The file can be removed after fs.stat(), so the head waits for it to open
+			file = fs.createReadStream( arg, {start: start, end: end} );
+			file.on( "error", failure );
+			file.on( "open", function () {
+				res.writeHead( status, headers );
+				file.pipe( res );
+			});
+		});
+	},
+
+	/**
+	 * Generates the URI of a named route ( see route.set() ), a path on the server or a hashbang on the client
+	 *
+	 * @method url
+	 * @param  {String} name   Route name
+	 * @param  {Object} params [Optional] Route parameters, required unless optional in the route
+	 * @param  {Object} query  [Optional] Query string parameters
+	 * @return {String}        URI, e.g. "/users/123?tab=orders" or "#!/users/123?tab=orders"
+	 */
+	url : function ( name, params, query ) {
+		var pattern = route.names[name],
+		    pairs   = [],
+		    result;
+
+		if ( pattern === undefined ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		params = params || {};
+
+		result = pattern.replace( regex.route_param, function ( match, type, key, optional ) {
+			var value = params[key];
+
+			if ( value === undefined || value === null || string.isEmpty( value.toString() ) ) {
+				if ( optional === undefined || string.isEmpty( optional ) ) {
+					throw Error( label.error.invalidArguments );
+				}
+
+				return "";
+			}
+
+			// Wildcards keep their slashes
+			value = encodeURIComponent( value );
+
+			return "/" + ( type === "*" ? value.replace( /%2F/g, "/" ) : value );
+		});
+
+		utility.iterate( query || {}, function ( v, k ) {
+			array.each( v instanceof Array ? v : [v], function ( i ) {
+				pairs.push( encodeURIComponent( k ) + "=" + encodeURIComponent( i ) );
+			});
+		});
+
+		if ( pairs.length > 0 ) {
+			result += "?" + pairs.join( "&" );
+		}
+
+		if ( !server ) {
+			result = ( route.push ? route.base + "/" : "#!/" ) + result.replace( /^\//, "" );
+		}
+
+		return result;
+	},
+
+	/**
+	 * Adds middleware to route.server() requests
+	 *
+	 * Middleware receives ( res, req, next ), and must call `next()` to continue the request
+	 * 
+	 * @method use
+	 * @param  {Function} fn    Middleware
+	 * @param  {String}   verb  [Optional] HTTP method the middleware is for, default is all
+	 * @param  {String}   host  [Optional] Hostname the middleware is for, default is all
+	 * @return {Boolean}        true
+	 */
+	use : function ( fn, verb, host ) {
+		host = host || "all";
+		verb = route.method( verb );
+
+		if ( typeof fn !== "function" ) {
+			throw Error( label.error.invalidArguments );
+		}
+
+		if ( !route.middleware.hasOwnProperty( host ) ) {
+			route.middleware[host] = {};
+		}
+
+		if ( !( route.middleware[host][verb] instanceof Array ) ) {
+			route.middleware[host][verb] = [];
+		}
+
+		route.middleware[host][verb].push( fn );
+
 		return true;
 	}
 };
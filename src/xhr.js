@@ -69,8 +69,11 @@ var xhr = function () {
 			}
 		});
 
+		// Closing before the end of the response is an error
 		res.on( "close", function ( e ) {
-			handlerError.call( self, e );
+			if ( self._send ) {
+				handlerError.call( self, e || Error( label.error.serverError ) );
+			}
 		});
 	};
 
@@ -51,12 +51,11 @@ var xml = {
 			    node, i;
 
 			if ( arg !== null && arg.xml !== undefined ) arg = arg.xml;
-			if ( arg instanceof Document ) arg = ( new XMLSerializer() ).serializeToString( arg );
+			if ( typeof Document !== "undefined" && arg instanceof Document ) arg = ( new XMLSerializer() ).serializeToString( arg );
 
 			node = function ( name, value ) {
-				var output = "<n>v</n>";
-				if ( /\&|\<|\>|\"|\'|\t|\r|\n|\@|\$/g.test( value ) ) output = output.replace( "v", "<![CDATA[v]]>" );
-				return output.replace( "n", name).replace( "v", value );
+				if ( /\&|\<|\>|\"|\'|\t|\r|\n|\@|\$/g.test( value ) ) value = "<![CDATA[" + value + "]]>";
+				return "<" + name + ">" + value + "</" + name + ">";
 			}
 
 			if ( regex.boolean_number_string.test( typeof arg ) ) x += node( "item", arg );
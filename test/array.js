@@ -1,4 +1,4 @@
-var array = require("../lib/abaaso.js").array;
+var array = require("../build/abaaso.js").array;
 
 exports["add"] = {
 	setUp: function (done) {
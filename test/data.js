@@ -0,0 +1,1389 @@
+var $       = require("../build/abaaso.js"),
+    http    = require("http"),
+    records = [
+    	{id: "a", name: "Jason", status: "active",   ownerId: 1, age: 30},
+    	{id: "b", name: "Alice", status: "inactive", ownerId: 2, age: 25},
+    	{id: "c", name: "Bob",   status: "active",   ownerId: 2, age: 30},
+    	{id: "d", name: "Dana",  status: "active",   ownerId: 1, age: 41},
+    	{id: "e", name: "Eve",   status: null,       ownerId: 3, age: 25}
+    ],
+    keys,
+    store;
+
+keys = function (arg) {
+	return arg.map(function (i) { return i.key; });
+};
+
+store = function (done) {
+	var obj = $.store({id: "dataStore" + $.genId()}, null, {key: "id"});
+
+	obj.data.batch("set", records).then(function () {
+		done(obj.data);
+	});
+};
+
+exports["index"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			self.store = arg;
+			done();
+		});
+	},
+	select: function (test) {
+		var before = keys(this.store.select({status: "active", ownerId: 2}));
+
+		test.expect(5);
+		test.equal(this.store.index("status,ownerId"), this.store, "Should be the store");
+		test.deepEqual(keys(this.store.select({status: "active", ownerId: 2})), before, "Should match the scan");
+		test.deepEqual(keys(this.store.select({ownerId: 1, status: "active"})), ["a", "d"], "Should be '[\"a\", \"d\"]'");
+		test.deepEqual(keys(this.store.select({status: "active", ownerId: "1"})), [], "Should be '[]'");
+		test.deepEqual(keys(this.store.select({status: null, ownerId: function (i) { return i > 2; }})), ["e"], "Should be '[\"e\"]'");
+		test.done();
+	},
+	maintained: function (test) {
+		var self = this;
+
+		test.expect(3);
+		this.store.index("status");
+		this.store.set("f", {name: "Fred", status: "active", ownerId: 1}).then(function () {
+			test.deepEqual(keys(self.store.select({status: "active"})), ["a", "c", "d", "f"], "Should be '[\"a\", \"c\", \"d\", \"f\"]'");
+			self.store.update("a", {status: "inactive"}).then(function () {
+				test.deepEqual(keys(self.store.select({status: "inactive"})), ["a", "b"], "Should be '[\"a\", \"b\"]'");
+				self.store.del("c").then(function () {
+					test.deepEqual(keys(self.store.select({status: "active"})), ["d", "f"], "Should be '[\"d\", \"f\"]'");
+					test.done();
+				});
+			});
+		});
+	},
+	unique: function (test) {
+		var before = this.store.unique("age");
+
+		test.expect(2);
+		this.store.index("age");
+		test.deepEqual(this.store.unique("age"), before, "Should match the scan");
+		test.deepEqual(this.store.unique("age"), [30, 25, 41], "Should be '[30, 25, 41]'");
+		test.done();
+	},
+	restore: function (test) {
+		var self    = this,
+		    storage = {};
+
+		global.localStorage = {
+			getItem: function (key) { return storage.hasOwnProperty(key) ? storage[key] : null; },
+			setItem: function (key, value) { storage[key] = value; }
+		};
+
+		test.expect(1);
+		this.store.index("status");
+		this.store.save();
+		this.store.del("a").then(function () {
+			self.store.restore();
+			delete global.localStorage;
+			test.deepEqual(keys(self.store.select({status: "active"})), ["a", "c", "d"], "Should be '[\"a\", \"c\", \"d\"]'");
+			test.done();
+		});
+	},
+	invalid: function (test) {
+		test.expect(1);
+		test.throws(function () { this.store.index([]); }.bind(this), Error, "Should throw an error");
+		test.done();
+	}
+};
+
+exports["select"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			self.store = arg;
+			self.store.set("f", {name: "Joe", status: "active", ownerId: 4, age: 19, address: {city: "Toronto"}}).then(function () {
+				done();
+			});
+		});
+	},
+	equality: function (test) {
+		test.expect(2);
+		test.deepEqual(keys(this.store.select({status: "active", age: 30})), ["a", "c"], "Should be '[\"a\", \"c\"]'");
+		test.deepEqual(keys(this.store.select({age: function (i) { return i < 26; }})), ["b", "e", "f"], "Should be '[\"b\", \"e\", \"f\"]'");
+		test.done();
+	},
+	operators: function (test) {
+		test.expect(6);
+		test.deepEqual(keys(this.store.select({age: {$gt: 25, $lte: 41}})), ["a", "c", "d"], "Should be '[\"a\", \"c\", \"d\"]'");
+		test.deepEqual(keys(this.store.select({status: {$in: ["inactive", null]}})), ["b", "e"], "Should be '[\"b\", \"e\"]'");
+		test.deepEqual(keys(this.store.select({status: {$nin: ["active"]}, age: {$ne: 25}})), [], "Should be '[]'");
+		test.deepEqual(keys(this.store.select({name: {$regex: "^jo", $options: "i"}})), ["f"], "Should be '[\"f\"]'");
+		test.deepEqual(keys(this.store.select({address: {$exists: true}})), ["f"], "Should be '[\"f\"]'");
+		test.deepEqual(keys(this.store.select({age: {$not: {$gte: 30}}})), ["b", "e", "f"], "Should be '[\"b\", \"e\", \"f\"]'");
+		test.done();
+	},
+	logical: function (test) {
+		test.expect(3);
+		test.deepEqual(keys(this.store.select({$or: [{ownerId: 3}, {age: {$gt: 40}}]})), ["d", "e"], "Should be '[\"d\", \"e\"]'");
+		test.deepEqual(keys(this.store.select({status: "active", $nor: [{ownerId: 1}, {ownerId: 4}]})), ["c"], "Should be '[\"c\"]'");
+		test.deepEqual(keys(this.store.select({$and: [{age: {$gte: 25}}, {age: {$lt: 30}}]})), ["b", "e"], "Should be '[\"b\", \"e\"]'");
+		test.done();
+	},
+	path: function (test) {
+		test.expect(2);
+		this.store.index("address.city");
+		test.deepEqual(keys(this.store.select({"address.city": "Toronto"})), ["f"], "Should be '[\"f\"]'");
+		test.deepEqual(keys(this.store.select({"address.city": {$exists: false}})), ["a", "b", "c", "d", "e"], "Should be five records");
+		test.done();
+	},
+	serializable: function (test) {
+		var where = {age: {$gt: 25}, $or: [{status: "active"}, {ownerId: 2}]};
+
+		test.expect(1);
+		test.deepEqual(keys(this.store.select(JSON.parse(JSON.stringify(where)))), keys(this.store.select(where)), "Should match");
+		test.done();
+	},
+	invalid: function (test) {
+		test.expect(2);
+		test.throws(function () { this.store.select({age: {$near: 1}}); }.bind(this), Error, "Should throw an error");
+		test.throws(function () { this.store.select({$or: {age: 1}}); }.bind(this), Error, "Should throw an error");
+		test.done();
+	}
+};
+
+exports["query"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			self.store = arg;
+			done();
+		});
+	},
+	parse: function (test) {
+		test.expect(2);
+		test.deepEqual(this.store.query("select * where age >= 25 and status = 'active' order by name"), this.store.sort("name").filter(function (i) { return i.data.age >= 25 && i.data.status === "active"; }), "Should match the records");
+		test.deepEqual(keys(this.store.query("SELECT * WHERE NOT (age < 30 OR name = 'O''Brien')")), ["a", "c", "d"], "Should be '[\"a\", \"c\", \"d\"]'");
+		test.done();
+	},
+	query: function (test) {
+		var result = this.store.query("SELECT name WHERE age >= 25 AND status = 'active' ORDER BY age desc, name LIMIT 2 OFFSET 1");
+
+		test.expect(4);
+		test.deepEqual(keys(result), ["c", "a"], "Should be '[\"c\", \"a\"]'");
+		test.deepEqual(result[0].data, {name: "Bob"}, "Should be projected");
+		test.equal(this.store.query("SELECT name WHERE age >= 25 AND status = 'active' ORDER BY age desc, name LIMIT 2 OFFSET 1"), result, "Should be the cached view");
+		test.equal(this.store.query("SELECT *")[0].data, this.store.records[0].data, "Should be the record");
+		test.done();
+	},
+	conditions: function (test) {
+		test.expect(4);
+		test.deepEqual(keys(this.store.query("SELECT * WHERE name LIKE 'j%' OR name LIKE '_ve'")), ["a", "e"], "Should be '[\"a\", \"e\"]'");
+		test.deepEqual(keys(this.store.query("SELECT * WHERE ownerId IN (1, 3) AND age <> 41")), ["a", "e"], "Should be '[\"a\", \"e\"]'");
+		test.deepEqual(keys(this.store.query("SELECT * WHERE status IS NULL")), ["e"], "Should be '[\"e\"]'");
+		test.deepEqual(keys(this.store.query("SELECT * WHERE status IS NOT NULL AND name NOT LIKE '%a%'")), ["c"], "Should be '[\"c\"]'");
+		test.done();
+	},
+	invalid: function (test) {
+		test.expect(4);
+		test.throws(function () { this.store.query("SELECT name WHERE age >"); }.bind(this), /end of query at position 23/, "Should throw an error");
+		test.throws(function () { this.store.query("SELECT name WHERE age ~ 1"); }.bind(this), /"~" at position 22/, "Should throw an error");
+		test.throws(function () { this.store.query("SELECT name ORDER name"); }.bind(this), /"name" at position 18/, "Should throw an error");
+		try {
+			this.store.query("SELECT name LIMIT -1");
+		}
+		catch (e) {
+			test.equal(e.position, 18, "Should be '18'");
+		}
+		test.done();
+	}
+};
+
+exports["aggregate"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			self.store = arg;
+			done();
+		});
+	},
+	group: function (test) {
+		test.expect(2);
+		test.deepEqual(this.store.aggregate({groupBy: "status", metrics: {total: ["sum", "age"], avg: ["mean", "age"], n: "count"}}), [
+			{status: "active",   total: 101, avg: 101 / 3, n: 3},
+			{status: "inactive", total: 25,  avg: 25,      n: 1},
+			{status: null,       total: 25,  avg: 25,      n: 1}
+		], "Should be grouped by 'status'");
+		test.deepEqual(this.store.aggregate({groupBy: ["status", "ownerId"], metrics: {oldest: ["max", "age"]}, where: {status: "active"}}), [
+			{status: "active", ownerId: 1, oldest: 41},
+			{status: "active", ownerId: 2, oldest: 30}
+		], "Should be grouped by 'status' & 'ownerId'");
+		test.done();
+	},
+	all: function (test) {
+		test.expect(2);
+		test.deepEqual(this.store.aggregate({metrics: {n: "count", statuses: ["count", "status"], range: ["range", "age"]}}), [{n: 5, statuses: 4, range: 16}], "Should be one row");
+		test.deepEqual(this.store.aggregate({metrics: {n: "count", avg: ["mean", "age"]}, where: {age: {$gt: 50}}}), [{n: 0, avg: null}], "Should be one empty row");
+		test.done();
+	},
+	feed: function (test) {
+		var rows = this.store.aggregate({groupBy: "ownerId", metrics: {n: "count"}}),
+		    obj  = $.store({id: "dataStore" + $.genId()}, null, {key: "ownerId"});
+
+		test.expect(2);
+		obj.data.batch("set", rows).then(function () {
+			test.equal(obj.data.total, 3, "Should be '3'");
+			test.equal(obj.data.get("2").data.n, 2, "Should be '2'");
+			test.done();
+		});
+	},
+	invalid: function (test) {
+		test.expect(2);
+		test.throws(function () { this.store.aggregate({metrics: {n: "total"}}); }.bind(this), Error, "Should throw an error");
+		test.throws(function () { this.store.aggregate({metrics: {n: ["sum"]}}); }.bind(this), Error, "Should throw an error");
+		test.done();
+	}
+};
+
+exports["batch"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			var set = arg.set;
+
+			self.store = arg;
+
+			// Rejecting records named 'Mallory'
+			self.store.set = function (key, data, batch) {
+				var deferred;
+
+				if (data.name === "Mallory") {
+					deferred = $.promise();
+					deferred.reject(new Error("Invalid record"));
+
+					return deferred;
+				}
+
+				return set.call(this, key, data, batch);
+			};
+
+			done();
+		});
+	},
+	atomic: function (test) {
+		var self   = this,
+		    events = [];
+
+		$.on(this.store.parentNode, "failedDataBatch", function (arg) {
+			events.push(arg);
+		}, "atomic");
+
+		this.store.index("status");
+
+		test.expect(8);
+		this.store.batch("set", [{id: "a", name: "Jay"}, {id: "f", name: "Mallory"}, {id: "g", name: "Grace", status: "active"}], false, undefined, true).then(null, function (arg) {
+			test.equal(arg.failed.length, 1, "Should be '1'");
+			test.equal(arg.failed[0].item.name, "Mallory", "Should be 'Mallory'");
+			test.equal(arg.failed[0].error.message, "Invalid record", "Should be 'Invalid record'");
+			test.equal(events[0], arg.failed, "Should be the failed items");
+			test.equal(self.store.total, 5, "Should be '5'");
+			test.equal(self.store.get("a").data.name, "Jason", "Should be 'Jason'");
+			test.equal(self.store.get("g"), undefined, "Should be 'undefined'");
+			test.deepEqual(keys(self.store.select({status: "active"})), ["a", "c", "d"], "Should be '[\"a\", \"c\", \"d\"]'");
+			test.done();
+		});
+	},
+	sync: function (test) {
+		var self      = this,
+		    refreshed = 0;
+
+		this.store.versions.e = {etag: "\"1\""};
+		this.store.datalists.push({refresh: function () { refreshed++; }});
+
+		test.expect(6);
+		this.store.batch("set", [{id: "f", name: "Mallory"}], true, undefined, true).then(null, function () {
+			test.equal(self.store.total, 5, "Should be '5'");
+			test.equal(self.store.get("e").data.name, "Eve", "Should be 'Eve'");
+			test.equal(self.store.keys.e, 4, "Should be '4'");
+			test.equal(self.store.loaded, true, "Should be 'true'");
+			test.equal(self.store.versions.e.etag, "\"1\"", "Should be '\"1\"'");
+			test.equal(refreshed, 1, "Should be '1'");
+			test.done();
+		});
+	},
+	partial: function (test) {
+		var self = this;
+
+		test.expect(2);
+		this.store.batch("set", [{id: "f", name: "Mallory"}, {id: "g", name: "Grace"}]).then(null, function (arg) {
+			test.equal(arg.message, "Invalid record", "Should be 'Invalid record'");
+			test.equal(self.store.get("g").data.name, "Grace", "Should be 'Grace'");
+			test.done();
+		});
+	}
+};
+
+exports["history"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			self.store = arg;
+			self.store.maxHistory = 2;
+			done();
+		});
+	},
+	set: function (test) {
+		var self = this;
+
+		test.expect(6);
+		test.equal(this.store.history.length, 0, "Should be '0'");
+		this.store.set("a", {name: "Jay", nickname: "J"}).then(function () {
+			test.equal(self.store.history.length, 1, "Should be '1'");
+			self.store.undo().then(function () {
+				test.deepEqual(self.store.get("a").data, {name: "Jason", status: "active", ownerId: 1, age: 30}, "Should be the prior record");
+				test.equal(self.store.future.length, 1, "Should be '1'");
+				self.store.redo().then(function () {
+					test.equal(self.store.get("a").data.nickname, "J", "Should be 'J'");
+					test.equal(self.store.history.length, 1, "Should be '1'");
+					test.done();
+				});
+			});
+		});
+	},
+	del: function (test) {
+		var self = this;
+
+		test.expect(4);
+		this.store.del("b").then(function () {
+			self.store.set(null, {id: "f", name: "Frank"}).then(function () {
+				self.store.undo().then(function () {
+					test.equal(self.store.get("f"), undefined, "Should be 'undefined'");
+					self.store.undo().then(function () {
+						test.equal(self.store.get("b").data.name, "Alice", "Should be 'Alice'");
+						test.equal(self.store.total, 5, "Should be '5'");
+						self.store.undo().then(function (arg) {
+							test.deepEqual(arg, [], "Should be '[]'");
+							test.done();
+						});
+					});
+				});
+			});
+		});
+	},
+	batch: function (test) {
+		var self = this;
+
+		test.expect(4);
+		this.store.batch("set", [{id: "a", name: "Jay"}, {id: "f", name: "Frank"}]).then(function () {
+			self.store.batch("del", ["c", "d"]).then(function () {
+				test.equal(self.store.history.length, 2, "Should be '2'");
+				self.store.undo().then(function () {
+					test.deepEqual(keys(self.store.select({status: "active"})).sort(), ["a", "c", "d"], "Should be '[\"a\", \"c\", \"d\"]'");
+					self.store.undo().then(function () {
+						test.equal(self.store.get("a").data.name, "Jason", "Should be 'Jason'");
+						test.equal(self.store.get("f"), undefined, "Should be 'undefined'");
+						test.done();
+					});
+				});
+			});
+		});
+	},
+	depth: function (test) {
+		var self = this;
+
+		test.expect(2);
+		this.store.update("a", {age: 31}).then(function () {
+			self.store.update("a", {age: 32}).then(function () {
+				self.store.update("a", {age: 33}).then(function () {
+					test.equal(self.store.history.length, 2, "Should be '2'");
+					self.store.undo().then(function () {
+						self.store.undo().then(function () {
+							test.equal(self.store.get("a").data.age, 31, "Should be '31'");
+							test.done();
+						});
+					});
+				});
+			});
+		});
+	}
+};
+
+exports["undo"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.items    = {a: {id: "a", name: "Jason"}, b: {id: "b", name: "Alice"}};
+		this.received = [];
+		this.handler  = function (req, res) {
+			var body = "";
+
+			req.on("data", function (chunk) { body += chunk; });
+			req.on("end", function () {
+				var id = req.url.replace(/^\/items\/?/, "");
+
+				self.received.push({method: req.method, url: req.url, body: body});
+
+				if (req.method === "PUT") {
+					self.items[id]    = JSON.parse(body);
+					self.items[id].id = id;
+				}
+				else if (req.method === "DELETE") {
+					delete self.items[id];
+				}
+
+				res.writeHead(200, {"Allow": "GET, PUT, DELETE", "Cache-Control": "no-cache", "Connection": "close", "Content-Type": "application/json"});
+				res.end(JSON.stringify(id === "" ? Object.keys(self.items).map(function (i) { return self.items[i]; }) : self.items[id] || null));
+			});
+		};
+
+		this.server = http.createServer(this.handler).listen(8135, function () {
+			self.store = $.store({id: "dataStore" + $.genId()}, null, {key: "id"}).data;
+			self.store.maxHistory = 5;
+			self.store.setUri("http://localhost:8135/items").then(function () {
+				self.received = [];
+				done();
+			}, function (e) {
+				done(e);
+			});
+		});
+	},
+	tearDown: function (done) {
+		this.server.close(function () {
+			done();
+		});
+	},
+	update: function (test) {
+		var self = this;
+
+		test.expect(4);
+		this.store.update("a", {nick: "J"}).then(function () {
+			test.deepEqual(self.items.a, {id: "a", name: "Jason", nick: "J"}, "Should have 'nick'");
+			self.store.undo().then(function () {
+				test.deepEqual(self.received[self.received.length - 1], {method: "PUT", url: "/items/a", body: JSON.stringify({name: "Jason"})}, "Should PUT the prior record");
+				test.deepEqual(self.items.a, {id: "a", name: "Jason"}, "Should not have 'nick'");
+				test.deepEqual(self.store.get("a").data, {name: "Jason"}, "Should not have 'nick'");
+				test.done();
+			});
+		});
+	},
+	del: function (test) {
+		var self = this;
+
+		test.expect(4);
+		this.store.del("b").then(function () {
+			self.store.undo().then(function () {
+				test.deepEqual(self.received[self.received.length - 1], {method: "PUT", url: "/items/b", body: JSON.stringify({name: "Alice"})}, "Should PUT the record to its URI");
+				test.deepEqual(self.items.b, {id: "b", name: "Alice"}, "Should be restored");
+				test.equal(self.store.get("b").data.name, "Alice", "Should be 'Alice'");
+				self.store.redo().then(function () {
+					test.deepEqual(self.received[self.received.length - 1], {method: "DELETE", url: "/items/b", body: ""}, "Should DELETE the record");
+					test.done();
+				});
+			});
+		});
+	},
+	events: function (test) {
+		var self   = this,
+		    events = [];
+
+		$.on(this.store.parentNode, "beforeDataSet, afterDataSet", function () {
+			events.push(arguments);
+		}, "undo");
+
+		test.expect(3);
+		this.store.update("a", {nick: "J"}).then(function () {
+			self.store.undo().then(function () {
+				test.equal(events.length, 4, "Should be '4'");
+				test.equal(self.store.history.length, 0, "Should be '0'");
+				test.equal(self.store.future.length, 1, "Should be '1'");
+				test.done();
+			});
+		});
+	},
+	offline: function (test) {
+		var self = this;
+
+		test.expect(3);
+		this.store.update("a", {nick: "J"}).then(function () {
+			self.store.offline = true;
+			self.server.close(function () {
+				self.store.undo().then(function () {
+					test.deepEqual(self.store.queue, [{type: "put", key: "a", data: {name: "Jason"}}], "Should queue the prior record");
+					test.deepEqual(self.store.get("a").data, {name: "Jason"}, "Should not have 'nick'");
+					test.equal(self.items.a.nick, "J", "Should be 'J'");
+					$.clearTimer(self.store.parentNode.id + "DataFlush");
+					self.server = http.createServer(self.handler).listen(8135, function () {
+						test.done();
+					});
+				});
+			});
+		});
+	},
+	batch: function (test) {
+		var self = this;
+
+		test.expect(4);
+		this.store.batch("set", [{id: "c", name: "Carl"}]).then(function () {
+			test.equal(self.store.history.length, 1, "Should be '1'");
+			self.store.undo().then(function () {
+				test.equal(self.store.get("c"), undefined, "Should be 'undefined'");
+				test.equal(self.store.total, 2, "Should be '2'");
+				test.equal(self.received.length, 0, "Should be '0'");
+				test.done();
+			});
+		});
+	}
+};
+
+exports["versions"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.item     = {id: "a", name: "Jason"};
+		this.version  = 1;
+		this.received = [];
+		this.server   = http.createServer(function (req, res) {
+			var body = "";
+
+			req.on("data", function (chunk) { body += chunk; });
+			req.on("end", function () {
+				var headers = {"Allow": "GET, PUT, DELETE", "Connection": "close", "Content-Type": "application/json", "ETag": "\"" + self.version + "\""};
+
+				self.received.push({method: req.method, url: req.url, condition: req.headers["if-match"]});
+
+				if (req.method !== "GET" && req.url === "/items/a" && req.headers["if-match"] !== undefined && req.headers["if-match"] !== headers.ETag) {
+					res.writeHead(412, {"Connection": "close", "Content-Length": 0});
+					res.end();
+				}
+				else if (req.method === "GET") {
+					res.writeHead(200, headers);
+					res.end(JSON.stringify(req.url === "/items" ? [self.item] : self.item));
+				}
+				else if (req.method === "PUT") {
+					self.item = JSON.parse(body);
+					self.item.id = "a";
+					headers.ETag = "\"" + (++self.version) + "\"";
+					res.writeHead(200, headers);
+					res.end(JSON.stringify(self.item));
+				}
+				else {
+					res.writeHead(204, {"Connection": "close", "Content-Length": 0});
+					res.end();
+				}
+			});
+		}).listen(8130, function () {
+			self.store = $.store({id: "dataStore" + $.genId()}, null, {key: "id"}).data;
+			self.store.setUri("http://localhost:8130/items").then(function () {
+				done();
+			}, function (e) {
+				done(e);
+			});
+		});
+	},
+	tearDown: function (done) {
+		this.server.close(function () {
+			done();
+		});
+	},
+	conditional: function (test) {
+		var self      = this,
+		    conflicts = [];
+
+		$.on(this.store.parentNode, "conflictDataSet", function (arg) {
+			conflicts.push(arg);
+		}, "versions");
+
+		test.expect(8);
+		this.store.set("a", {name: "Jay"}).then(function () {
+			test.deepEqual(self.store.versions.a, {"If-Match": "\"2\""}, "Should be the ETag");
+
+			// Someone else updates the record
+			self.item    = {id: "a", name: "Alice"};
+			self.version = 3;
+
+			self.store.set("a", {name: "J"}).then(null, function () {
+				test.equal(self.received[self.received.length - 2].condition, "\"2\"", "Should be '\"2\"'");
+				test.equal(conflicts.length, 1, "Should be '1'");
+				test.deepEqual(conflicts[0].local, {name: "J"}, "Should be the local version");
+				test.deepEqual(conflicts[0].server, {name: "Alice"}, "Should be the server version");
+				test.deepEqual(self.store.versions.a, {"If-Match": "\"3\""}, "Should be the server's ETag");
+				self.store.del("a").then(function () {
+					test.equal(self.received[self.received.length - 1].condition, "\"3\"", "Should be '\"3\"'");
+					test.equal(self.store.versions.a, undefined, "Should be 'undefined'");
+					test.done();
+				});
+			});
+		});
+	},
+	"conditional - delete": function (test) {
+		var self      = this,
+		    conflicts = [];
+
+		$.on(this.store.parentNode, "conflictDataSet", function (arg) {
+			conflicts.push(arg);
+		}, "versions");
+
+		test.expect(6);
+		this.store.set("a", {name: "Jay"}).then(function () {
+			// Someone else updates the record
+			self.item    = {id: "a", name: "Alice"};
+			self.version = 3;
+
+			self.store.del("a").then(null, function () {
+				test.equal(self.received[self.received.length - 2].condition, "\"2\"", "Should be '\"2\"'");
+				test.equal(conflicts.length, 1, "Should be '1'");
+				test.equal(conflicts[0].local, null, "Should be 'null'");
+				test.deepEqual(conflicts[0].server, {name: "Alice"}, "Should be the server version");
+				test.deepEqual(self.store.versions.a, {"If-Match": "\"3\""}, "Should be the server's ETag");
+				test.equal(self.store.total, 1, "Should be '1'");
+				test.done();
+			});
+		});
+	},
+	sync: function (test) {
+		var self = this;
+
+		test.expect(2);
+		this.store.set("a", {name: "Jay"}).then(function () {
+			self.store.sync().then(function () {
+				test.equal(self.store.total, 1, "Should be '1'");
+				test.deepEqual(self.store.versions.a, {"If-Match": "\"2\""}, "Should be the ETag");
+				test.done();
+			});
+		});
+	}
+};
+
+exports["patch"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.items    = {a: {id: "a", name: "Jason", age: 30}, b: {id: "b", name: "Alice", age: 25}};
+		this.received = [];
+		this.server   = http.createServer(function (req, res) {
+			var body = "";
+
+			req.on("data", function (chunk) { body += chunk; });
+			req.on("end", function () {
+				var id = req.url.replace(/.*\//, "");
+
+				self.received.push({method: req.method, type: req.headers["content-type"], body: body});
+
+				if (req.method === "PATCH") {
+					self.items[id] = $.json.patch(self.items[id], JSON.parse(body));
+				}
+				else if (req.method === "PUT") {
+					self.items[id] = JSON.parse(body);
+				}
+
+				res.writeHead(200, {"Allow": id === "a" ? "GET, PATCH, PUT" : "GET, PUT", "Connection": "close", "Content-Type": "application/json"});
+				res.end(JSON.stringify(req.url === "/items" ? ["/items/a", "/items/b"] : self.items[id]));
+			});
+		}).listen(8131, function () {
+			self.store = $.store({id: "dataStore" + $.genId()}, null, {key: "id"}).data;
+			self.store.setUri("http://localhost:8131/items").then(function () {
+				done();
+			}, function (e) {
+				done(e);
+			});
+		});
+	},
+	tearDown: function (done) {
+		this.server.close(function () {
+			done();
+		});
+	},
+	update: function (test) {
+		var self = this;
+
+		test.expect(6);
+		this.store.update("a", {name: "Jay"}).then(function () {
+			var req = self.received[self.received.length - 1];
+
+			test.equal(req.method, "PATCH", "Should be 'PATCH'");
+			test.equal(req.type, "application/json-patch+json", "Should be 'application/json-patch+json'");
+			test.deepEqual(JSON.parse(req.body), [{op: "replace", path: "/name", value: "Jay"}], "Should be the JSON Patch");
+			test.deepEqual(self.items.a, {id: "a", name: "Jay", age: 30}, "Should be patched");
+			self.store.update("b", {name: "Al"}).then(function () {
+				var req = self.received[self.received.length - 1];
+
+				test.equal(req.method, "PUT", "Should be 'PUT'");
+				test.deepEqual(JSON.parse(req.body), {name: "Al", age: 25}, "Should be the record");
+				test.done();
+			});
+		});
+	},
+	computed: function (test) {
+		var self = this;
+
+		this.store.computed = {label: function (arg) { return arg.name + " (" + arg.age + ")"; }};
+		this.store.reindex();
+
+		test.expect(4);
+		test.equal(this.store.get("b").data.label, "Alice (25)", "Should be 'Alice (25)'");
+		this.store.update("b", {age: 26}).then(function () {
+			test.deepEqual(JSON.parse(self.received[self.received.length - 1].body), {name: "Alice", age: 26}, "Should be the record without 'label'");
+			test.equal(self.store.get("b").data.label, "Alice (26)", "Should be 'Alice (26)'");
+			self.store.update("a", {name: "Jay"}).then(function () {
+				test.deepEqual(JSON.parse(self.received[self.received.length - 1].body), [{op: "replace", path: "/name", value: "Jay"}], "Should be the JSON Patch without 'label'");
+				test.done();
+			});
+		});
+	}
+};
+
+exports["offline"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.items    = {a: {id: "a", name: "Jason"}, c: {id: "c", name: "Carl"}};
+		this.received = [];
+		this.storage  = {};
+		this.handler  = function (req, res) {
+			var body = "";
+
+			req.on("data", function (chunk) { body += chunk; });
+			req.on("end", function () {
+				var id = req.url.replace(/.*\//, "");
+
+				self.received.push(req.method + " " + req.url);
+
+				if (req.method === "POST") {
+					self.items.b = JSON.parse(body);
+					self.items.b.id = "b";
+					res.writeHead(201, {"Connection": "close", "Location": "http://localhost:8132/items/b"});
+					res.end();
+				}
+				else if (req.method === "DELETE") {
+					res.writeHead(404, {"Connection": "close", "Content-Length": 0});
+					res.end();
+				}
+				else {
+					if (req.method === "PUT") {
+						self.items[id] = JSON.parse(body);
+					}
+
+					res.writeHead(200, {"Allow": "GET, POST, PUT, DELETE", "Connection": "close", "Content-Type": "application/json"});
+					res.end(JSON.stringify(req.url === "/items" ? [self.items.a, self.items.c] : self.items[id]));
+				}
+			});
+		};
+
+		global.localStorage = {
+			getItem: function (key) { return self.storage.hasOwnProperty(key) ? self.storage[key] : null; },
+			setItem: function (key, value) { self.storage[key] = value; },
+			removeItem: function (key) { delete self.storage[key]; }
+		};
+
+		this.server = http.createServer(this.handler).listen(8132, function () {
+			self.store = $.store({id: "dataStore" + $.genId()}, null, {key: "id", offline: true}).data;
+			self.store.setUri("http://localhost:8132/items").then(function () {
+				self.server.close(function () {
+					self.server = null;
+					done();
+				});
+			}, function (e) {
+				done(e);
+			});
+		});
+	},
+	tearDown: function (done) {
+		delete global.localStorage;
+
+		if (this.server !== null) {
+			this.server.close(function () {
+				done();
+			});
+		}
+		else {
+			done();
+		}
+	},
+	queue: function (test) {
+		var self   = this,
+		    events = [];
+
+		$.on(this.store.parentNode, "afterDataFlush, failedDataFlush", function (arg) {
+			events.push(arg);
+		}, "offline");
+
+		test.expect(12);
+		this.store.set(null, {name: "Bob"}).then(function () {
+			var temp = self.store.queue[0].key;
+
+			test.equal(self.store.get(temp).data.name, "Bob", "Should be 'Bob'");
+			self.store.set("a", {name: "Jay"}).then(function () {
+				self.store.del("c").then(function () {
+					test.deepEqual(self.store.queue.map(function (i) { return i.type; }), ["post", "put", "delete"], "Should be queued");
+					test.equal(self.storage[self.store.parentNode.id + "Queue"], JSON.stringify(self.store.queue), "Should be persisted");
+					test.equal(self.store.get("a").data.name, "Jay", "Should be 'Jay'");
+					test.equal(self.store.get("c"), undefined, "Should be 'undefined'");
+
+					self.server = http.createServer(self.handler).listen(8132, function () {
+						self.store.flush().then(function () {
+							test.deepEqual(self.received.slice(-4), ["POST /items", "GET /items/b", "PUT /items/a", "DELETE /items/c"], "Should be replayed in order");
+							test.equal(self.store.get(temp), undefined, "Should be 'undefined'");
+							test.equal(self.store.get("b").data.name, "Bob", "Should be 'Bob'");
+							test.equal(self.items.a.name, "Jay", "Should be 'Jay'");
+							test.deepEqual(events.map(function (i) { return i.key || i.error !== undefined; }), ["b", "a", true], "Should be per item events");
+							test.equal(self.store.queue.length, 0, "Should be '0'");
+							test.equal(self.storage[self.store.parentNode.id + "Queue"], "[]", "Should be '[]'");
+							test.done();
+						});
+					});
+				});
+			});
+		});
+	},
+	retry: function (test) {
+		var self = this;
+
+		this.store.retry = 50;
+
+		test.expect(3);
+		this.store.set("a", {name: "Jay"}).then(function () {
+			self.store.set("c", {name: "Carl Jr"}).then(function () {
+				test.equal(self.store.queue.length, 2, "Should be '2'");
+				self.server = http.createServer(self.handler).listen(8132, function () {
+					setTimeout(function () {
+						test.equal(self.store.queue.length, 0, "Should be '0'");
+						test.deepEqual(self.received.slice(-2), ["PUT /items/a", "PUT /items/c"], "Should be retried in order");
+						test.done();
+					}, 200);
+				});
+			});
+		});
+	},
+	restore: function (test) {
+		var self = this,
+		    id   = "dataStore" + $.genId(),
+		    obj;
+
+		this.storage[id + "Queue"] = JSON.stringify([{type: "put", key: "a", data: {name: "Jay"}}]);
+
+		test.expect(3);
+		this.server = http.createServer(this.handler).listen(8132, function () {
+			obj = $.store({id: id}, null, {key: "id", offline: true}).data;
+			obj.setUri("http://localhost:8132/items").then(function () {
+				setTimeout(function () {
+					test.equal(self.received[self.received.length - 1], "PUT /items/a", "Should be 'PUT /items/a'");
+					test.equal(self.items.a.name, "Jay", "Should be 'Jay'");
+					test.equal(obj.queue.length, 0, "Should be '0'");
+					test.done();
+				}, 100);
+			});
+		});
+	}
+};
+
+exports["schema"] = {
+	setUp: function (done) {
+		var self = this;
+
+		store(function (arg) {
+			self.store = arg;
+			self.store.schema = {
+				name    : {type: "string", required: true, min: 2},
+				status  : {type: "string", "enum": ["active", "inactive"], "default": "active"},
+				ownerId : {type: "number", min: 1, max: 9},
+				age     : {type: "number"},
+				email   : {type: "string", pattern: "email"},
+				admin   : {type: "boolean", "default": false}
+			};
+			done();
+		});
+	},
+	coerce: function (test) {
+		var self = this;
+
+		test.expect(5);
+		this.store.set(null, {id: "f", name: "Frank", ownerId: "4", admin: "true", age: 50}).then(function (arg) {
+			test.equal(arg.data.ownerId, 4, "Should be '4'");
+			test.equal(arg.data.admin, true, "Should be 'true'");
+			test.equal(arg.data.status, "active", "Should be 'active'");
+			test.equal(self.store.get("f").data.age, 50, "Should be '50'");
+			test.equal(self.store.total, 6, "Should be '6'");
+			test.done();
+		});
+	},
+	invalid: function (test) {
+		var self = this;
+
+		test.expect(3);
+		this.store.set(null, {id: "f", name: "F", status: "banned", ownerId: 12, email: "frank", nickname: "Frankie"}).then(null, function (e) {
+			test.deepEqual(e.invalid.map(function (i) { return i.field + ":" + i.test; }).sort(), ["email:pattern", "name:min", "nickname:unknown", "ownerId:max", "status:enum"], "Should be the invalid fields");
+			test.equal(self.store.get("f"), undefined, "Should be 'undefined'");
+			test.equal(self.store.total, 5, "Should be '5'");
+			test.done();
+		});
+	},
+	required: function (test) {
+		test.expect(2);
+		this.store.set(null, {id: "f", age: "old"}).then(null, function (e) {
+			test.deepEqual(e.invalid, [{field: "name", test: "required", value: undefined}, {field: "age", test: "type", value: "old"}], "Should be 'name' & 'age'");
+			test.equal(e.message, "The following required fields are invalid: name, age", "Should list 'name' & 'age'");
+			test.done();
+		});
+	},
+	update: function (test) {
+		var self = this;
+
+		test.expect(2);
+		this.store.update("a", {ownerId: 0}).then(null, function (e) {
+			test.equal(e.invalid[0].field, "ownerId", "Should be 'ownerId'");
+			test.equal(self.store.get("a").data.ownerId, 1, "Should be '1'");
+			test.done();
+		});
+	},
+	batch: function (test) {
+		var self = this;
+
+		test.expect(2);
+		this.store.batch("set", [{id: "f", name: "Frank"}, {id: "g", name: "Grace", ownerId: "x"}], false, undefined, true).then(null, function (e) {
+			test.equal(e.failed[0].error.invalid[0].field, "ownerId", "Should be 'ownerId'");
+			test.equal(self.store.total, 5, "Should be '5'");
+			test.done();
+		});
+	},
+	sync: function (test) {
+		var obj    = $.store({id: "dataStore" + $.genId()}, null, {key: "id", schema: this.store.schema}).data,
+		    server = http.createServer(function (req, res) {
+		    	res.writeHead(200, {"Connection": "close", "Content-Type": "application/json"});
+		    	res.end(JSON.stringify([{id: "a", name: "Jason", nickname: "J"}]));
+		    });
+
+		test.expect(2);
+		server.listen(8136, function () {
+			obj.setUri("http://localhost:8136/items").then(function () {
+				test.equal(obj.total, 1, "Should be '1'");
+				test.equal(obj.get("a").data.nickname, "J", "Should be 'J'");
+				server.close(function () {
+					test.done();
+				});
+			}, function (e) {
+				test.ok(false, e.message);
+				server.close(function () {
+					test.done();
+				});
+			});
+		});
+	}
+};
+
+exports["computed"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.store = $.store({id: "dataStore" + $.genId()}, null, {key: "id", computed: {
+			label : function (arg) { return arg.name + " (" + arg.age + ")"; },
+			next  : function (arg) { return arg.age + 1; }
+		}}).data;
+
+		this.store.batch("set", records).then(function () {
+			done();
+		});
+	},
+	get: function (test) {
+		test.expect(3);
+		test.equal(this.store.get("a").data.label, "Jason (30)", "Should be 'Jason (30)'");
+		test.equal(this.store.get("e").data.next, 26, "Should be '26'");
+		test.deepEqual(keys(this.store.select({next: 31})), ["a", "c"], "Should be '[\"a\", \"c\"]'");
+		test.done();
+	},
+	sort: function (test) {
+		test.expect(2);
+		test.deepEqual(keys(this.store.sort("next desc, label asc")), ["d", "c", "a", "b", "e"], "Should be '[\"d\", \"c\", \"a\", \"b\", \"e\"]'");
+		test.deepEqual(keys(this.store.find("Jason", "label")), ["a"], "Should be '[\"a\"]'");
+		test.done();
+	},
+	update: function (test) {
+		var self = this;
+
+		test.expect(3);
+		this.store.update("a", {age: 31, next: 0}).then(function () {
+			test.equal(self.store.get("a").data.next, 32, "Should be '32'");
+			test.equal(self.store.get("a").data.label, "Jason (31)", "Should be 'Jason (31)'");
+			test.deepEqual(keys(self.store.select({next: 31})), ["c"], "Should be '[\"c\"]'");
+			test.done();
+		});
+	},
+	storage: function (test) {
+		var storage = {};
+
+		global.localStorage = {
+			getItem: function (key) { return storage.hasOwnProperty(key) ? storage[key] : null; },
+			setItem: function (key, value) { storage[key] = value; }
+		};
+
+		test.expect(3);
+		this.store.save();
+		this.store.save(this.store.get("a"));
+		test.deepEqual(JSON.parse(storage[this.store.parentNode.id]).records[0].data, {name: "Jason", status: "active", ownerId: 1, age: 30}, "Should not have computed fields");
+		test.deepEqual(JSON.parse(storage.a), {name: "Jason", status: "active", ownerId: 1, age: 30}, "Should not have computed fields");
+		this.store.restore();
+		delete global.localStorage;
+		test.equal(this.store.get("a").data.label, "Jason (30)", "Should be 'Jason (30)'");
+		test.done();
+	}
+};
+
+exports["relations"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.orders = $.store({id: "dataStore" + $.genId()}, null, {key: "id"}).data;
+
+		store(function (arg) {
+			self.customers = arg;
+			self.orders.batch("set", [
+				{id: "1", ownerId: 1, total: 20},
+				{id: "2", ownerId: 2, total: 15},
+				{id: "3", ownerId: 1, total: 5},
+				{id: "4", ownerId: 9, total: 50}
+			]).then(function () {
+				done();
+			});
+		});
+	},
+	relate: function (test) {
+		this.customers.index("ownerId");
+		this.orders.index("ownerId");
+		this.orders.relate("owner", this.customers, "belongsTo", "ownerId", "ownerId");
+		this.customers.relate("orders", this.orders, "hasMany", "ownerId", "ownerId");
+
+		test.expect(5);
+		test.equal(this.orders.get("1").data.owner.name, "Jason", "Should be 'Jason'");
+		test.equal(this.orders.get("4").data.owner, null, "Should be 'null'");
+		test.deepEqual(this.customers.get("a").data.orders.map(function (i) { return i.total; }), [20, 5], "Should be '[20, 5]'");
+		test.equal(this.customers.get("a").data.orders[0].owner, undefined, "Should be 'undefined'");
+		test.deepEqual(keys(this.orders.select({"owner.name": "Jason"})), ["1", "3"], "Should be '[\"1\", \"3\"]'");
+		test.done();
+	},
+	refresh: function (test) {
+		var self = this;
+
+		this.orders.relate("customer", this.customers, "belongsTo", "customerId");
+		this.customers.relate("orders", this.orders, "hasMany", "id", "customerId");
+
+		test.expect(4);
+		this.orders.update("1", {customerId: "b"}).then(function () {
+			test.equal(self.orders.get("1").data.customer.name, "Alice", "Should be 'Alice'");
+			test.equal(self.customers.get("b").data.orders[0].total, 20, "Should be '20'");
+			self.customers.update("b", {name: "Ally"}).then(function () {
+				test.equal(self.orders.get("1").data.customer.name, "Ally", "Should be 'Ally'");
+				self.orders.del("1").then(function () {
+					test.deepEqual(self.customers.get("b").data.orders, [], "Should be '[]'");
+					test.done();
+				});
+			});
+		});
+	},
+	targeted: function (test) {
+		var self    = this,
+		    reindex = this.orders.reindex,
+		    index   = this.orders.indexRecord,
+		    indexed = [];
+
+		this.orders.relate("customer", this.customers, "belongsTo", "customerId");
+		this.customers.relate("orders", this.orders, "hasMany", "id", "customerId");
+
+		test.expect(5);
+		this.orders.batch("set", [{id: "1", customerId: "a"}, {id: "3", customerId: "b"}]).then(function () {
+			self.orders.reindex = function () {
+				test.ok(false, "Shouldn't reindex");
+
+				return reindex.apply(this, arguments);
+			};
+
+			self.orders.indexRecord = function (key) {
+				indexed.push(key);
+
+				return index.apply(this, arguments);
+			};
+
+			self.customers.update("b", {name: "Ally"}).then(function () {
+				test.deepEqual(indexed, ["3"], "Should be '[\"3\"]'");
+				test.equal(self.orders.get("3").data.customer.name, "Ally", "Should be 'Ally'");
+				self.orders.update("1", {customerId: "b"}).then(function () {
+					self.orders.reindex     = reindex;
+					self.orders.indexRecord = index;
+					test.deepEqual(self.customers.get("a").data.orders, [], "Should be '[]'");
+					test.deepEqual(self.customers.get("b").data.orders.map(function (i) { return i.total; }), [20, 5], "Should be '[20, 5]'");
+					test.equal(self.orders.get("1").data.customer.name, "Ally", "Should be 'Ally'");
+					test.done();
+				});
+			});
+		});
+	},
+	batch: function (test) {
+		var self    = this,
+		    reindex = this.orders.reindex,
+		    count   = 0;
+
+		this.orders.relate("customer", this.customers, "belongsTo", "customerId");
+		this.orders.update("1", {customerId: "b"}).then(function () {
+			self.orders.reindex = function () {
+				count++;
+
+				return reindex.apply(this, arguments);
+			};
+
+			self.customers.batch("set", [{id: "b", name: "Ally"}, {id: "x", name: "Xavier"}, {id: "y", name: "Yolanda"}]).then(function () {
+				self.orders.reindex = reindex;
+				test.expect(2);
+				test.equal(count, 1, "Should be '1'");
+				test.equal(self.orders.get("1").data.customer.name, "Ally", "Should be 'Ally'");
+				test.done();
+			});
+		});
+	},
+	join: function (test) {
+		var self = this,
+		    view = this.orders.join(this.customers, "ownerId", "ownerId");
+
+		test.expect(5);
+		test.deepEqual(view.map(function (i) { return i.key + ":" + i.data.owner.name; }), ["1:Jason", "1:Dana", "2:Alice", "2:Bob", "3:Jason", "3:Dana"], "Should be the joined records");
+		test.equal(this.orders.join(this.customers, "ownerId", "ownerId"), view, "Should be the cached view");
+		test.deepEqual(this.customers.join(this.orders, "id", "customerId", "order"), [], "Should be '[]'");
+		test.throws(function () { self.orders.join({}, "ownerId"); }, Error, "Should throw an error");
+		this.customers.update("a", {name: "Jay"}).then(function () {
+			test.equal(self.orders.join(self.customers, "ownerId", "ownerId")[0].data.owner.name, "Jay", "Should be 'Jay'");
+			test.done();
+		});
+	}
+};
+
+exports["paging"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.received = [];
+		this.server   = http.createServer(function (req, res) {
+			var parsed = require("url").parse(req.url, true),
+			    type   = parsed.pathname.replace("/", ""),
+			    page   = Number(parsed.query.page || parsed.query.p || (parsed.query.cursor || "c1").replace("c", "")),
+			    items  = records.slice((page - 1) * 2, page * 2),
+			    last   = page * 2 >= records.length,
+			    headers = {"Connection": "close", "Content-Type": "application/json"};
+
+			self.received.push(req.url);
+
+			if (type === "link" && !last) {
+				headers.Link = "</link?page=1>; rel=\"first\", </link?page=" + (page + 1) + ">; rel=\"next\"";
+			}
+
+			res.writeHead(200, headers);
+
+			if (type === "body") {
+				res.end(JSON.stringify({items: items, links: {next: last ? null : "http://localhost:8133/body?p=" + (page + 1)}}));
+			}
+			else if (type === "cursor") {
+				res.end(JSON.stringify({items: items, cursor: last ? null : "c" + (page + 1)}));
+			}
+			else {
+				res.end(JSON.stringify(items));
+			}
+		}).listen(8133, function () {
+			done();
+		});
+	},
+	tearDown: function (done) {
+		this.server.close(function () {
+			done();
+		});
+		this.server.closeAllConnections();
+	},
+	link: function (test) {
+		var obj   = $.store({id: "dataStore" + $.genId()}, null, {key: "id", paging: {type: "link"}}).data,
+		    pages = [];
+
+		$.on(obj.parentNode, "afterDataPage", function (arg) {
+			pages.push(arg.page + ":" + arg.records.length + ":" + arg.next);
+		}, "paging");
+
+		test.expect(3);
+		obj.setUri("http://localhost:8133/link").then(function () {
+			test.equal(obj.total, 5, "Should be '5'");
+			test.deepEqual(pages, ["1:2:http://localhost:8133/link?page=2", "2:2:http://localhost:8133/link?page=3", "3:1:null"], "Should be the pages");
+			test.deepEqual(keys(obj.get()), ["a", "b", "c", "d", "e"], "Should be every record");
+			test.done();
+		});
+	},
+	body: function (test) {
+		var obj = $.store({id: "dataStore" + $.genId()}, null, {key: "id", source: "items", paging: {type: "body", field: "links.next"}}).data;
+
+		test.expect(2);
+		obj.setUri("http://localhost:8133/body").then(function () {
+			test.equal(obj.total, 5, "Should be '5'");
+			test.equal(obj.pages, 3, "Should be '3'");
+			test.done();
+		});
+	},
+	cursor: function (test) {
+		var self = this,
+		    obj  = $.store({id: "dataStore" + $.genId()}, null, {key: "id", paging: {type: "cursor"}}).data;
+
+		test.expect(2);
+		obj.setUri("http://localhost:8133/cursor").then(function () {
+			test.equal(obj.total, 5, "Should be '5'");
+			test.deepEqual(self.received, ["/cursor", "/cursor?cursor=c2", "/cursor?cursor=c3"], "Should send the cursors");
+			test.done();
+		});
+	},
+	demand: function (test) {
+		var self = this,
+		    obj  = $.store({id: "dataStore" + $.genId()}, null, {key: "id", paging: {type: "page", load: "demand"}}).data;
+
+		test.expect(7);
+		obj.setUri("http://localhost:8133/page").then(function () {
+			test.equal(obj.total, 2, "Should be '2'");
+			test.equal(obj.nextPage, "http://localhost:8133/page?page=2", "Should be the second page");
+			obj.more().then(function (arg) {
+				test.equal(arg.length, 2, "Should be '2'");
+				test.equal(obj.total, 4, "Should be '4'");
+				obj.more().then(function () {
+					test.equal(obj.nextPage, "http://localhost:8133/page?page=4", "Should be the fourth page");
+					obj.more().then(function () {
+						test.equal(obj.nextPage, null, "Should be 'null'");
+						test.deepEqual(self.received, ["/page", "/page?page=2", "/page?page=3", "/page?page=4"], "Should load until an empty page");
+						test.done();
+					});
+				});
+			});
+		});
+	}
+};
+
+exports["delta"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.items    = [{id: "a", name: "Jason"}, {id: "b", name: "Alice"}, {id: "c", name: "Bob"}];
+		this.etag     = "\"1\"";
+		this.received = [];
+		this.server   = http.createServer(function (req, res) {
+			var since = require("url").parse(req.url, true).query.since;
+
+			self.received.push({url: req.url, match: req.headers["if-none-match"]});
+
+			if (since === undefined && req.headers["if-none-match"] === self.etag) {
+				res.writeHead(304, {"Connection": "close", "ETag": self.etag});
+				res.end();
+			}
+			else {
+				res.writeHead(200, {"Connection": "close", "Content-Type": "application/json", "Cache-Control": "no-cache", "ETag": self.etag});
+				res.end(JSON.stringify(since !== undefined ? self.items.filter(function (i) { return i.changed; }) : self.items));
+			}
+		}).listen(8134, function () {
+			self.store = $.store({id: "dataStore" + $.genId()}, null, {key: "id", delta: true}).data;
+			self.store.setUri("http://localhost:8134/items").then(function () {
+				done();
+			}, function (e) {
+				done(e);
+			});
+		});
+	},
+	tearDown: function (done) {
+		this.server.close(function () {
+			done();
+		});
+		this.server.closeAllConnections();
+	},
+	unmodified: function (test) {
+		var self   = this,
+		    events = [];
+
+		$.on(this.store.parentNode, "afterDataSet, afterDataDelete, beforeDataClear", function () {
+			events.push(arguments);
+		}, "delta");
+
+		test.expect(4);
+		$.on(this.store.parentNode, "afterDataSync", function () {
+			test.equal(self.received[1].match, "\"1\"", "Should send 'If-None-Match'");
+			test.equal(self.store.total, 3, "Should be '3'");
+			test.equal(self.store.get("a").data.name, "Jason", "Should be 'Jason'");
+			test.equal(events.length, 0, "Should be '0'");
+			test.done();
+		}, "delta");
+		$.expire();
+	},
+	merge: function (test) {
+		var self   = this,
+		    record = this.store.get("a"),
+		    sets   = [],
+		    dels   = [];
+
+		$.on(this.store.parentNode, "afterDataSet", function (arg) {
+			sets.push(arg.key);
+		}, "delta");
+
+		$.on(this.store.parentNode, "afterDataDelete", function (arg) {
+			dels.push(arg.key);
+		}, "delta");
+
+		this.etag  = "\"2\"";
+		this.items = [{id: "a", name: "Jason"}, {id: "b", name: "Ally"}, {id: "d", name: "Dana"}];
+		test.expect(6);
+		$.on(this.store.parentNode, "afterDataSync", function () {
+			test.deepEqual(sets, ["b", "d"], "Should set 'b' & 'd'");
+			test.deepEqual(dels, ["c"], "Should delete 'c'");
+			test.deepEqual(keys(self.store.get()), ["a", "b", "d"], "Should be '[\"a\", \"b\", \"d\"]'");
+			test.equal(self.store.get("b").data.name, "Ally", "Should be 'Ally'");
+			test.equal(self.store.get("a"), record, "Should be the same record");
+			test.deepEqual(self.store.revision, {"If-None-Match": "\"2\""}, "Should be the new revision");
+			test.done();
+		}, "delta");
+		$.expire();
+	},
+	since: function (test) {
+		var self = this;
+
+		this.store.since = "since";
+		this.items = [{id: "a", name: "Jason"}, {id: "b", name: "Ally", changed: true}];
+		test.expect(4);
+		$.on(this.store.parentNode, "afterDataSync", function () {
+			test.ok(/^\/items\?since=\d{4}-/.test(self.received[1].url), "Should send 'since'");
+			test.equal(self.store.total, 3, "Should be '3'");
+			test.equal(self.store.get("b").data.name, "Ally", "Should be 'Ally'");
+			test.equal(self.store.get("b").data.changed, true, "Should be 'true'");
+			test.done();
+		}, "delta");
+		$.expire();
+	},
+	tombstone: function (test) {
+		var self = this;
+
+		this.store.since     = "since";
+		this.store.tombstone = "deleted";
+		this.items = [{id: "a", name: "Jason"}, {id: "b", deleted: true, changed: true}, {id: "x", deleted: true, changed: true}];
+		test.expect(3);
+		$.on(this.store.parentNode, "afterDataSync", function () {
+			test.deepEqual(keys(self.store.get()), ["a", "c"], "Should be '[\"a\", \"c\"]'");
+			test.equal(self.store.keys.c, 1, "Should be '1'");
+			test.equal(self.store.get("x"), undefined, "Should be 'undefined'");
+			test.done();
+		}, "delta");
+		$.expire();
+	},
+	reindex: function (test) {
+		var self    = this,
+		    reindex = this.store.reindex,
+		    count   = 0;
+
+		this.store.reindex = function () {
+			count++;
+
+			return reindex.apply(this, arguments);
+		};
+
+		test.expect(3);
+		this.store.merge([{id: "b", name: "Alice"}]).then(function () {
+			self.store.reindex = reindex;
+			test.equal(count, 1, "Should be '1'");
+			test.deepEqual(keys(self.store.get()), ["b"], "Should be '[\"b\"]'");
+			test.equal(self.store.keys.b, 0, "Should be '0'");
+			test.done();
+		});
+	}
+};
@@ -1,4 +1,4 @@
-var json = require("../lib/abaaso.js").json;
+var json = require("../build/abaaso.js").json;
 
 exports["decode"] = {
 	setUp: function (done) {
@@ -23,4 +23,65 @@ exports["encode"] = {
 		test.equal(typeof json.encode(this.val) === "string", true, "Should be true");
 		test.done();
 	}
-};
\ No newline at end of file
+};
+
+exports["diff"] = {
+	setUp: function (done) {
+		this.source = {name: "Jason", tags: ["a"], address: {city: "Toronto", "postal/code": "M5V"}, age: 30};
+		this.target = {name: "Jay", tags: ["a", "b"], address: {city: "Toronto"}, email: "jason@abaaso.com"};
+		done();
+	},
+	direct: function (test) {
+		test.expect(2);
+		test.deepEqual(json.diff(this.source, this.target), [
+			{op: "replace", path: "/name", value: "Jay"},
+			{op: "replace", path: "/tags", value: ["a", "b"]},
+			{op: "remove", path: "/address/postal~1code"},
+			{op: "remove", path: "/age"},
+			{op: "add", path: "/email", value: "jason@abaaso.com"}
+		], "Should be the JSON Patch");
+		test.deepEqual(json.diff(this.source, this.source), [], "Should be '[]'");
+		test.done();
+	},
+	patch: function (test) {
+		test.expect(2);
+		test.deepEqual(json.patch(this.source, json.diff(this.source, this.target)), this.target, "Should be the target");
+		test.equal(this.source.name, "Jason", "Should be 'Jason'");
+		test.done();
+	}
+};
+
+exports["patch"] = {
+	setUp: function (done) {
+		this.val = {a: {b: [1, 2]}, c: "d"};
+		done();
+	},
+	direct: function (test) {
+		test.expect(1);
+		test.deepEqual(json.patch(this.val, [
+			{op: "add", path: "/a/b/1", value: 3},
+			{op: "add", path: "/a/b/-", value: 4},
+			{op: "remove", path: "/a/b/0"},
+			{op: "move", from: "/c", path: "/e"},
+			{op: "copy", from: "/a", path: "/f"},
+			{op: "test", path: "/e", value: "d"}
+		]), {a: {b: [3, 2, 4]}, e: "d", f: {b: [3, 2, 4]}}, "Should be patched");
+		test.done();
+	},
+	"test - structural": function (test) {
+		var val = {a: {x: 1, y: [1, {z: null}]}};
+
+		test.expect(3);
+		test.deepEqual(json.patch(val, [{op: "test", path: "/a", value: {y: [1, {z: null}], x: 1}}]), val, "Should be unchanged");
+		test.throws(function () { json.patch(val, [{op: "test", path: "/a", value: {x: 1, y: [1, {}]}}]); }, /test failed at \/a/, "Should throw an error");
+		test.throws(function () { json.patch(val, [{op: "test", path: "/a/x", value: "1"}]); }, /test failed at \/a\/x/, "Should throw an error");
+		test.done();
+	},
+	invalid: function (test) {
+		test.expect(3);
+		test.throws(function () { json.patch(this.val, [{op: "test", path: "/c", value: "x"}]); }.bind(this), /test failed at \/c/, "Should throw an error");
+		test.throws(function () { json.patch(this.val, [{op: "remove", path: "/x/y"}]); }.bind(this), Error, "Should throw an error");
+		test.throws(function () { json.patch(this.val, [{op: "merge", path: "/c"}]); }.bind(this), Error, "Should throw an error");
+		test.done();
+	}
+};
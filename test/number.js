@@ -1,4 +1,4 @@
-var number = require("../lib/abaaso.js").number;
+var number = require("../build/abaaso.js").number;
 
 exports["diff"] = {
 	setUp: function (done) {
@@ -1,4 +1,4 @@
-var $      = require("../lib/abaaso.js"),
+var $      = require("../build/abaaso.js"),
     sample = {};
 
 sample.obj   = {id: "test"};
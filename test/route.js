@@ -1,6 +1,72 @@
-var route = require("../lib/abaaso.js").route,
-    path  = "/.*",
-    fn    = function (arg) { return true; };
+var abaaso = require("../build/abaaso.js"),
+    route  = abaaso.route,
+    http   = require("http"),
+    fs     = require("fs"),
+    vm     = require("vm"),
+    path   = "/.*",
+    fn     = function (arg) { return true; },
+    client, request;
+
+// Loads abaaso into a browser-like context, with stubs of the DOM, location & history
+client = function () {
+	var listeners = {},
+	    states    = [],
+	    target, context;
+
+	target = function () {
+		return {
+			addEventListener: function (ev, fn) { (listeners[ev] = listeners[ev] || []).push(fn); },
+			removeEventListener: function () { void 0; }
+		};
+	};
+
+	context                          = target();
+	context.window                   = context;
+	context.location                 = {hash: "", host: "localhost", pathname: "/", protocol: "http:", search: ""};
+	context.document                 = target();
+	context.document.location        = context.location;
+	context.document.readyState      = "loading";
+	context.document.documentElement = {classList: {}, clientHeight: 768, clientWidth: 1024};
+	context.history                  = {
+		go: function (arg) { states.push("go:" + arg); },
+		pushState: function (state, title, uri) { states.push("push:" + uri); context.location.pathname = uri; },
+		replaceState: function (state, title, uri) { states.push("replace:" + uri); }
+	};
+	context.navigator                = {userAgent: "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36"};
+	context.localStorage             = {getItem: function () { return null; }, setItem: function () { void 0; }, removeItem: function () { void 0; }};
+	context.Storage                  = function () { void 0; };
+	context.XMLHttpRequest           = function () { void 0; };
+	context.setTimeout               = setTimeout;
+	context.clearTimeout             = clearTimeout;
+	context.setInterval              = setInterval;
+	context.clearInterval            = clearInterval;
+
+	vm.runInNewContext(fs.readFileSync(__dirname + "/../build/abaaso.js", "utf8"), context);
+
+	return {
+		abaaso: context.abaaso,
+		history: context.history,
+		location: context.location,
+		states: states,
+		fire: function (ev, e) {
+			e      = e || {};
+			e.type = ev;
+			(listeners[ev] || []).forEach(function (fn) { fn(e); });
+		}
+	};
+};
+
+request = function (port, method, uri, headers, body, fn) {
+	var req = http.request({agent: false, port: port, method: method, path: uri, headers: headers}, function (res) {
+		var data = "";
+
+		res.on("data", function (chunk) { data += chunk; });
+		res.on("end", function () { fn(res, data); });
+	});
+
+	req.on("error", function () { void 0; });
+	req.end(body);
+};
 
 exports["enabled"] = {
 	setUp: function (done) {
@@ -88,3 +154,930 @@ exports["del"] = {
 		test.done();
 	}
 };
+
+exports["params"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.path = "/users/:id/orders/:orderId?";
+		this.args = null;
+		route.set(this.path, function (res, req, args) { self.args = args; }, "get");
+		done();
+	},
+	tearDown: function (done) {
+		route.del(this.path, "get");
+		done();
+	},
+	named: function (test) {
+		test.expect(4);
+		test.equal(route.load("/users/123/orders/9", undefined, "get"), true, "Should be true");
+		test.equal(this.args.route, this.path, "Should be '" + this.path + "'");
+		test.equal(this.args.params.id, "123", "Should be '123'");
+		test.equal(this.args.params.orderId, "9", "Should be '9'");
+		test.done();
+	},
+	optional: function (test) {
+		test.expect(3);
+		test.equal(route.load("/users/abc%20def/orders", undefined, "get"), true, "Should be true");
+		test.equal(this.args.params.id, "abc def", "Should be 'abc def'");
+		test.equal(this.args.params.orderId, undefined, "Should be undefined");
+		test.done();
+	},
+	query: function (test) {
+		test.expect(3);
+		test.equal(route.load("/users/123/orders?page=2&sort=name", undefined, "get"), true, "Should be true");
+		test.strictEqual(this.args.query.page, "2", "Should be '2'");
+		test.equal(this.args.query.sort, "name", "Should be 'name'");
+		test.done();
+	},
+	decode: function (test) {
+		test.expect(4);
+		test.equal(route.load("/users/123/orders?q=a%20b%26c&n=007&a%5Bb%5D=x+y&bad=%E0%A4%A", undefined, "get"), true, "Should be true");
+		test.deepEqual(this.args.query, {q: "a b&c", n: "007", "a[b]": "x y", bad: "%E0%A4%A"}, "Should be decoded Strings");
+		test.equal(route.load("/users/123/orders?n=007&n=1", undefined, "get"), true, "Should be true");
+		test.deepEqual(this.args.query.n, ["007", "1"], "Should be '[\"007\", \"1\"]'");
+		test.done();
+	}
+};
+
+exports["wildcard"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.path = "/files/*file";
+		this.args = null;
+		route.set(this.path, function (res, req, args) { self.args = args; }, "get");
+		done();
+	},
+	tearDown: function (done) {
+		route.del(this.path, "get");
+		done();
+	},
+	test: function (test) {
+		test.expect(2);
+		test.equal(route.load("/files/css/site.css", undefined, "get"), true, "Should be true");
+		test.equal(this.args.params.file, "css/site.css", "Should be 'css/site.css'");
+		test.done();
+	}
+};
+
+exports["use"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.port   = 8123;
+		this.errors = 0;
+		route.set("/hello", function (res, req) { res.writeHead(200, {"Content-Type": "text/plain"}); res.end("world"); }, "get");
+		route.use(function (res, req, next) { res.setHeader("X-Middleware", "true"); next(); });
+		route.use(function (res, req, next) {
+			if (req.url === "/hello?blocked=true") {
+				res.writeHead(403);
+				res.end();
+			}
+			else if (req.url === "/hello?fail=true") {
+				next(Error("Failed"));
+			}
+			else if (req.url === "/hello?throw=true") {
+				throw Error("Thrown");
+			}
+			else {
+				next();
+			}
+		}, "get");
+		route.set("error", function (res, req, args) { self.errors++; res.writeHead(500); res.end(args.error.message); });
+		this.server = route.server({port: this.port});
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		this.server.close(done);
+	},
+	next: function (test) {
+		test.expect(3);
+		http.get({agent: false, port: this.port, path: "/hello"}, function (res) {
+			var body = "";
+
+			res.on("data", function (chunk) { body += chunk; });
+			res.on("end", function () {
+				test.equal(res.statusCode, 200, "Should be 200");
+				test.equal(res.headers["x-middleware"], "true", "Should be 'true'");
+				test.equal(body, "world", "Should be 'world'");
+				test.done();
+			});
+		});
+	},
+	halt: function (test) {
+		test.expect(2);
+		http.get({agent: false, port: this.port, path: "/hello?blocked=true"}, function (res) {
+			test.equal(res.statusCode, 403, "Should be 403");
+			test.equal(res.headers["x-middleware"], "true", "Should be 'true'");
+			res.resume();
+			test.done();
+		});
+	},
+	error: function (test) {
+		test.expect(2);
+		http.get({agent: false, port: this.port, path: "/hello?fail=true"}, function (res) {
+			var body = "";
+
+			res.on("data", function (chunk) { body += chunk; });
+			res.on("end", function () {
+				test.equal(res.statusCode, 500, "Should be 500");
+				test.equal(body, "Failed", "Should be 'Failed'");
+				test.done();
+			});
+		});
+	},
+	"error - thrown": function (test) {
+		var self = this;
+
+		test.expect(3);
+		http.get({agent: false, port: this.port, path: "/hello?throw=true"}, function (res) {
+			var body = "";
+
+			res.on("data", function (chunk) { body += chunk; });
+			res.on("end", function () {
+				test.equal(res.statusCode, 500, "Should be 500");
+				test.equal(body, "Thrown", "Should be 'Thrown'");
+				test.equal(self.errors, 1, "Should be 1");
+				test.done();
+			});
+		});
+	},
+	"error - default": function (test) {
+		var port = this.port;
+
+		route.reset();
+		route.set("/hello", function (res) { res.writeHead(200); res.end(); }, "get");
+		route.use(function (res, req, next) { next(req.url === "/hello?fail=true" ? Error("Failed") : undefined); });
+
+		test.expect(3);
+		request(port, "GET", "/hello?fail=true", {}, null, function (res) {
+			test.equal(res.statusCode, 500, "Should be 500");
+			request(port, "GET", "/missing", {}, null, function (res) {
+				test.equal(res.statusCode, 404, "Should be 404");
+				request(port, "GET", "/hello", {}, null, function (res) {
+					test.equal(res.statusCode, 200, "Should be 200");
+					test.done();
+				});
+			});
+		});
+	}
+};
+
+exports["body"] = {
+	setUp: function (done) {
+		this.port = 8124;
+		route.set("/echo", function (res, req, args) { res.writeHead(200, {"Content-Type": "application/json"}); res.end(JSON.stringify(args.body)); }, "post");
+		this.server = route.server({port: this.port, body: true, limit: 1024});
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		this.server.close(done);
+	},
+	json: function (test) {
+		test.expect(2);
+		request(this.port, "POST", "/echo", {"Content-Type": "application/json"}, JSON.stringify({a: 1, b: [true]}), function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(body, JSON.stringify({a: 1, b: [true]}), "Should be the same JSON");
+			test.done();
+		});
+	},
+	invalid: function (test) {
+		test.expect(1);
+		request(this.port, "POST", "/echo", {"Content-Type": "application/json"}, "{a:", function (res, body) {
+			test.equal(res.statusCode, 400, "Should be 400");
+			test.done();
+		});
+	},
+	scalar: function (test) {
+		var port = this.port;
+
+		test.expect(3);
+		request(port, "POST", "/echo", {"Content-Type": "application/json"}, "\"str\"", function (res, body) {
+			test.equal(body, "\"str\"", "Should be the decoded String");
+			request(port, "POST", "/echo", {"Content-Type": "application/json"}, "42", function (res, body) {
+				test.equal(body, "42", "Should be the decoded Number");
+				request(port, "POST", "/echo", {"Content-Type": "application/json"}, "str", function (res) {
+					test.equal(res.statusCode, 400, "Should be 400");
+					test.done();
+				});
+			});
+		});
+	},
+	xml: function (test) {
+		test.expect(1);
+		request(this.port, "POST", "/echo", {"Content-Type": "application/xml"}, "<xml><a>1</a></xml>", function (res) {
+			test.equal(res.statusCode, 415, "Should be 415");
+			test.done();
+		});
+	},
+	urlencoded: function (test) {
+		var port = this.port;
+
+		test.expect(3);
+		request(port, "POST", "/echo", {"Content-Type": "application/x-www-form-urlencoded"}, "name=hello+world%21&age=40&full%20name=J", function (res, body) {
+			test.equal(body, JSON.stringify({name: "hello world!", age: "40", "full name": "J"}), "Should be decoded");
+			request(port, "POST", "/echo", {"Content-Type": "application/x-www-form-urlencoded"}, "name=%E0%A4%A", function (res) {
+				test.equal(res.statusCode, 400, "Should be 400");
+				request(port, "POST", "/echo", {"Content-Type": "application/x-www-form-urlencoded"}, "%E0%A4%A=x", function (res) {
+					test.equal(res.statusCode, 400, "Should be 400");
+					test.done();
+				});
+			});
+		});
+	},
+	multipart: function (test) {
+		var body = "--xyz\r\nContent-Disposition: form-data; name=\"title\"\r\n\r\nabaaso\r\n" +
+		           "--xyz\r\nContent-Disposition: form-data; name=\"file\"; filename=\"a.txt\"\r\nContent-Type: text/plain\r\n\r\nhi\r\n--xyz--\r\n";
+
+		test.expect(4);
+		request(this.port, "POST", "/echo", {"Content-Type": "multipart/form-data; boundary=xyz"}, body, function (res, body) {
+			body = JSON.parse(body);
+			test.equal(body.title, "abaaso", "Should be 'abaaso'");
+			test.equal(body.file.filename, "a.txt", "Should be 'a.txt'");
+			test.equal(body.file.type, "text/plain", "Should be 'text/plain'");
+			test.equal(new Buffer(body.file.data.data).toString(), "hi", "Should be 'hi'");
+			test.done();
+		});
+	},
+	limit: function (test) {
+		test.expect(1);
+		request(this.port, "POST", "/echo", {"Content-Type": "text/plain"}, new Array(2048).join("a"), function (res, body) {
+			test.equal(res.statusCode, 413, "Should be 413");
+			test.done();
+		});
+	}
+};
+
+exports["response"] = {
+	setUp: function (done) {
+		this.port = 8125;
+		route.set("/data", function (res, req, args, out) { out.respond({name: "abaaso", list: [1, 2]}); }, "get");
+		route.set("/moved", function (res, req, args, out) { out.redirect("/data", true); }, "get");
+		route.set("/file", function (res, req, args, out) { out.stream(__dirname + "/../LICENSE", "text/plain"); }, "get");
+		route.set("/gone", function (res, req, args, out) { out.status(410); }, "get");
+		route.set("/broken", function (res, req, args, out) {
+			var stream = new (require("stream").Readable)();
+
+			stream._read = function () { this.emit("error", new Error("Unreadable")); };
+			out.stream(stream, "text/plain");
+		}, "get");
+		this.server = route.server({port: this.port});
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		this.server.close(done);
+	},
+	json: function (test) {
+		var port = this.port;
+
+		test.expect(5);
+		request(port, "GET", "/data", {Accept: "application/json"}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(res.headers["content-type"], "application/json; charset=utf-8", "Should be JSON");
+			test.equal(body, JSON.stringify({name: "abaaso", list: [1, 2]}), "Should be JSON");
+			test.notEqual(res.headers.etag, undefined, "Should have an ETag");
+			request(port, "GET", "/data", {"If-None-Match": res.headers.etag}, null, function (res) {
+				test.equal(res.statusCode, 304, "Should be 304");
+				test.done();
+			});
+		});
+	},
+	xml: function (test) {
+		test.expect(2);
+		request(this.port, "GET", "/data", {Accept: "application/xml"}, null, function (res, body) {
+			test.equal(res.headers["content-type"], "application/xml; charset=utf-8", "Should be XML");
+			test.equal(body.indexOf("<name>abaaso</name>") > -1, true, "Should be true");
+			test.done();
+		});
+	},
+	"accept - quality": function (test) {
+		var port = this.port;
+
+		test.expect(4);
+		request(port, "GET", "/data", {Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8"}, null, function (res) {
+			test.equal(res.headers["content-type"], "application/json; charset=utf-8", "Should be JSON");
+			request(port, "GET", "/data", {Accept: "application/xml;q=0.5, application/json"}, null, function (res) {
+				test.equal(res.headers["content-type"], "application/json; charset=utf-8", "Should be JSON");
+				request(port, "GET", "/data", {Accept: "application/json;q=0.5, text/xml"}, null, function (res) {
+					test.equal(res.headers["content-type"], "application/xml; charset=utf-8", "Should be XML");
+					request(port, "GET", "/data", {Accept: "application/xhtml+xml"}, null, function (res) {
+						test.equal(res.headers["content-type"], "application/json; charset=utf-8", "Should be JSON");
+						test.done();
+					});
+				});
+			});
+		});
+	},
+	redirect: function (test) {
+		test.expect(2);
+		request(this.port, "GET", "/moved", {}, null, function (res) {
+			test.equal(res.statusCode, 301, "Should be 301");
+			test.equal(res.headers.location, "/data", "Should be '/data'");
+			test.done();
+		});
+	},
+	status: function (test) {
+		test.expect(1);
+		request(this.port, "GET", "/gone", {}, null, function (res) {
+			test.equal(res.statusCode, 410, "Should be 410");
+			test.done();
+		});
+	},
+	stream: function (test) {
+		var port = this.port;
+
+		test.expect(4);
+		request(port, "GET", "/file", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(body.indexOf("Copyright") > -1, true, "Should be true");
+			test.notEqual(res.headers["last-modified"], undefined, "Should have a Last-Modified header");
+			request(port, "GET", "/file", {"If-Modified-Since": res.headers["last-modified"]}, null, function (res) {
+				test.equal(res.statusCode, 304, "Should be 304");
+				test.done();
+			});
+		});
+	},
+	"stream - error": function (test) {
+		var port = this.port;
+
+		test.expect(2);
+		request(port, "GET", "/broken", {}, null, function (res, body) {
+			test.equal(body, "", "Should be empty");
+			request(port, "GET", "/gone", {}, null, function (res) {
+				test.equal(res.statusCode, 410, "Should be 410");
+				test.done();
+			});
+		});
+	}
+};
+
+exports["verbs"] = {
+	setUp: function (done) {
+		this.port = 8126;
+		route.set("/items/:id", function (res, req, args, out) { out.respond({id: args.params.id, verb: args.verb}); }, "get");
+		route.set("/items/:id", function (res, req, args, out) { out.respond({id: args.params.id, verb: args.verb}); }, "patch");
+		route.set("/items/:id", function (res, req, args, out) { out.status(204); }, "delete");
+		route.set("/custom", function (res, req, args, out) { out.status(200, {Allow: "GET"}); }, "options");
+		this.server = route.server({port: this.port});
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		this.server.close(done);
+	},
+	allows: function (test) {
+		test.expect(2);
+		test.deepEqual(route.allows("/items/1"), ["DELETE", "GET", "HEAD", "OPTIONS", "PATCH"], "Should be '[\"DELETE\", \"GET\", \"HEAD\", \"OPTIONS\", \"PATCH\"]'");
+		test.deepEqual(route.allows("/missing"), [], "Should be '[]'");
+		test.done();
+	},
+	patch: function (test) {
+		test.expect(2);
+		request(this.port, "PATCH", "/items/1", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(JSON.parse(body).verb, "patch", "Should be 'patch'");
+			test.done();
+		});
+	},
+	head: function (test) {
+		test.expect(3);
+		request(this.port, "HEAD", "/items/1", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.notEqual(res.headers["content-length"], "0", "Should have a Content-Length");
+			test.equal(body, "", "Should be ''");
+			test.done();
+		});
+	},
+	options: function (test) {
+		test.expect(3);
+		request(this.port, "OPTIONS", "/items/1", {}, null, function (res) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(res.headers.allow, "DELETE, GET, HEAD, OPTIONS, PATCH", "Should be 'DELETE, GET, HEAD, OPTIONS, PATCH'");
+			test.equal(res.headers["access-control-allow-methods"], res.headers.allow, "Should match the Allow header");
+			test.done();
+		});
+	},
+	options_route: function (test) {
+		test.expect(1);
+		request(this.port, "OPTIONS", "/custom", {}, null, function (res) {
+			test.equal(res.headers.allow, "GET", "Should be 'GET'");
+			test.done();
+		});
+	}
+};
+
+exports["serve"] = {
+	setUp: function (done) {
+		this.port = 8127;
+		route.set("/files/*path?", route.serve(__dirname + "/..", ["LICENSE"]), "get");
+		route.set("/test/route.js", route.serve(__dirname + "/.."), "get");
+		this.server = route.server({port: this.port});
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		this.server.close(done);
+	},
+	mime: function (test) {
+		test.expect(3);
+		test.equal(route.mime("app.JS"), "application/javascript", "Should be 'application/javascript'");
+		test.equal(route.mime("/assets/index.html"), "text/html", "Should be 'text/html'");
+		test.equal(route.mime("LICENSE"), "application/octet-stream", "Should be 'application/octet-stream'");
+		test.done();
+	},
+	file: function (test) {
+		test.expect(3);
+		request(this.port, "GET", "/files/package.json", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(res.headers["content-type"], "application/json", "Should be 'application/json'");
+			test.equal(JSON.parse(body).name, "abaaso", "Should be 'abaaso'");
+			test.done();
+		});
+	},
+	request_path: function (test) {
+		test.expect(2);
+		request(this.port, "GET", "/test/route.js", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(body.indexOf("exports[\"serve\"]") > -1, true, "Should be true");
+			test.done();
+		});
+	},
+	index: function (test) {
+		var port = this.port;
+
+		test.expect(4);
+		request(port, "GET", "/files/", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(body.indexOf("Copyright") > -1, true, "Should be true");
+			request(port, "GET", "/files/test?a=1", {}, null, function (res) {
+				test.equal(res.statusCode, 302, "Should be 302");
+				test.equal(res.headers.location, "/files/test/?a=1", "Should be '/files/test/?a=1'");
+				test.done();
+			});
+		});
+	},
+	range: function (test) {
+		var port = this.port;
+
+		test.expect(5);
+		request(port, "GET", "/files/LICENSE", {Range: "bytes=0-9"}, null, function (res, body) {
+			test.equal(res.statusCode, 206, "Should be 206");
+			test.equal(res.headers["content-length"], "10", "Should be '10'");
+			test.equal(res.headers["content-range"].indexOf("bytes 0-9/"), 0, "Should be 0");
+			test.equal(body.length, 10, "Should be 10");
+			request(port, "GET", "/files/LICENSE", {Range: "bytes=999999-"}, null, function (res) {
+				test.equal(res.statusCode, 416, "Should be 416");
+				test.done();
+			});
+		});
+	},
+	traversal: function (test) {
+		var port = this.port;
+
+		test.expect(2);
+		request(port, "GET", "/files/src/%2e%2e/%2e%2e/etc/passwd", {}, null, function (res) {
+			test.equal(res.statusCode, 403, "Should be 403");
+			request(port, "GET", "/files/missing.txt", {}, null, function (res) {
+				test.equal(res.statusCode, 404, "Should be 404");
+				test.done();
+			});
+		});
+	}
+};
+
+exports["mode"] = {
+	setUp: function (done) {
+		done();
+	},
+	hash: function (test) {
+		test.expect(2);
+		test.equal(route.mode(), "hash", "Should be 'hash'");
+		test.equal(route.mode("history", "/app"), "hash", "Should be 'hash' without history.pushState()");
+		test.done();
+	},
+	invalid: function (test) {
+		test.expect(1);
+		test.throws(function () { route.mode("hashbang"); }, Error, "Should throw an error");
+		test.done();
+	}
+};
+
+exports["history"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.browser = client();
+		this.abaaso  = this.browser.abaaso;
+		this.loaded  = [];
+		this.link    = function (pathname, target) {
+			return {nodeName: "A", host: "localhost", protocol: "http:", pathname: pathname, search: "", hash: "", target: target || "", hasAttribute: function () { return false; }};
+		};
+		this.abaaso.route.enabled = true;
+		this.abaaso.route.set("users/:id", function (name, req, args) { self.loaded.push(args.params.id); });
+		this.browser.location.hash = "#!/users/1";
+		done();
+	},
+	push: function (test) {
+		test.expect(5);
+		test.equal(this.abaaso.route.mode("history", "/app/"), "history", "Should be 'history'");
+		test.deepEqual(this.browser.states, ["replace:/app/users/1"], "Should be '[\"replace:/app/users/1\"]'");
+		test.equal(this.abaaso.route.hash("users/2"), "users/2", "Should be 'users/2'");
+		test.equal(this.abaaso.route.hash(), "users/2", "Should be 'users/2'");
+		test.deepEqual(this.loaded, ["2"], "Should be '[\"2\"]'");
+		test.done();
+	},
+	popstate: function (test) {
+		test.expect(1);
+		this.abaaso.route.mode("history", "/app");
+		this.browser.location.pathname = "/app/users/3";
+		this.browser.fire("popstate");
+		test.deepEqual(this.loaded, ["3"], "Should be '[\"3\"]'");
+		test.done();
+	},
+	links: function (test) {
+		var prevented = 0,
+		    e         = function (target) { return {button: 0, target: target, preventDefault: function () { prevented++; }}; };
+
+		test.expect(3);
+		this.abaaso.route.mode("history", "/app");
+		this.browser.fire("click", e(this.link("/app/users/4")));
+		this.browser.fire("click", e(this.link("/other/users/5")));
+		this.browser.fire("click", e(this.link("/app/users/6", "_blank")));
+		test.equal(prevented, 1, "Should be 1");
+		test.deepEqual(this.browser.states, ["replace:/app/users/1", "push:/app/users/4"], "Should be '[\"replace:/app/users/1\", \"push:/app/users/4\"]'");
+		test.deepEqual(this.loaded, ["4"], "Should be '[\"4\"]'");
+		test.done();
+	},
+	hash: function (test) {
+		test.expect(4);
+		this.abaaso.route.mode("history", "/app");
+		test.equal(this.abaaso.route.mode("hash"), "hash", "Should be 'hash'");
+		this.browser.fire("click", {button: 0, target: this.link("/app/users/7"), preventDefault: function () { void 0; }});
+		test.equal(this.abaaso.route.hash("users/8"), "users/8", "Should be 'users/8'");
+		test.equal(this.browser.location.hash, "!/users/8", "Should be '!/users/8'");
+		test.deepEqual(this.browser.states, ["replace:/app/users/1"], "Should be '[\"replace:/app/users/1\"]'");
+		test.done();
+	}
+};
+
+exports["guards"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.port   = 8128;
+		this.events = [];
+		route.set("/private", {fn: function (res, req, args, out) { out.status(200); }, before: function () { return false; }}, "get");
+		route.set("/old", {fn: function (res, req, args, out) { out.status(200); }, before: function () { return "/new"; }}, "get");
+		route.set("/async/:id", {fn: function (res, req, args, out) { out.respond({id: args.params.id}); }, before: function (args) {
+			var deferred = abaaso.promise();
+
+			setTimeout(function () { args.params.id === "1" ? deferred.resolve(true) : deferred.reject(new Error("Not found")); }, 10);
+
+			return deferred;
+		}}, "get");
+		abaaso.on(abaaso, "afterRoute", function (args) { self.events.push("after:" + args.route); }, "guards");
+		abaaso.on(abaaso, "failedRoute", function (args) { self.events.push("failed:" + args.route); }, "guards");
+		this.server = route.server({port: this.port});
+		done();
+	},
+	tearDown: function (done) {
+		abaaso.un(abaaso, "afterRoute", "guards");
+		abaaso.un(abaaso, "failedRoute", "guards");
+		route.reset();
+		this.server.close(done);
+	},
+	cancel: function (test) {
+		var self = this;
+
+		test.expect(2);
+		request(this.port, "GET", "/private", {}, null, function (res) {
+			test.equal(res.statusCode, 403, "Should be 403");
+			test.deepEqual(self.events, ["failed:/private"], "Should be '[\"failed:/private\"]'");
+			test.done();
+		});
+	},
+	redirect: function (test) {
+		test.expect(2);
+		request(this.port, "GET", "/old", {}, null, function (res) {
+			test.equal(res.statusCode, 302, "Should be 302");
+			test.equal(res.headers.location, "/new", "Should be '/new'");
+			test.done();
+		});
+	},
+	async: function (test) {
+		var self = this;
+
+		test.expect(3);
+		request(this.port, "GET", "/async/1", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(JSON.parse(body).id, "1", "Should be '1'");
+			test.deepEqual(self.events, ["after:/async/:id"], "Should be '[\"after:/async/:id\"]'");
+			test.done();
+		});
+	},
+	rejected: function (test) {
+		var self = this;
+
+		test.expect(2);
+		request(this.port, "GET", "/async/2", {}, null, function (res) {
+			test.equal(res.statusCode, 500, "Should be 500");
+			test.deepEqual(self.events, ["failed:/async/:id"], "Should be '[\"failed:/async/:id\"]'");
+			test.done();
+		});
+	},
+	back: function (test) {
+		var browser = client(),
+		    entries = [],
+		    loaded  = [],
+		    visit;
+
+		// Hash changes add an entry, & going back removes it
+		visit = function (arg) {
+			entries.push(arg);
+			browser.location.hash = arg;
+			browser.fire("hashchange");
+		};
+
+		browser.history.go = function (arg) {
+			entries.splice(entries.length + arg, -arg);
+			browser.location.hash = entries[entries.length - 1] || "";
+			browser.fire("hashchange");
+		};
+
+		browser.abaaso.route.enabled = true;
+		browser.abaaso.route.set("home", function () { loaded.push("home"); });
+		browser.abaaso.route.set("list", function () { loaded.push("list"); });
+		browser.abaaso.route.set("private", {fn: function () { loaded.push("private"); }, before: function () { return false; }});
+
+		test.expect(4);
+		visit("#!/list");
+		visit("#!/home");
+		visit("#!/private");
+		test.deepEqual(entries, ["#!/list", "#!/home"], "Should not duplicate '#!/home'");
+		test.equal(browser.abaaso.route.current, "home", "Should be 'home'");
+		browser.history.go(-1);
+		test.equal(browser.location.hash, "#!/list", "Should be '#!/list'");
+		test.deepEqual(loaded, ["list", "home", "list"], "Should be '[\"list\", \"home\", \"list\"]'");
+		test.done();
+	},
+	unmatched: function (test) {
+		var self = this;
+
+		test.expect(1);
+		route.set("error", function (res, req, args, out) { out.status(404); });
+		request(this.port, "GET", "/missing", {}, null, function () {
+			test.deepEqual(self.events, ["failed:error"], "Should be '[\"failed:error\"]'");
+			test.done();
+		});
+	}
+};
+
+exports["navigation"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.browser = client();
+		this.abaaso  = this.browser.abaaso;
+		this.events  = [];
+		this.abaaso.route.set("home", fn);
+		this.abaaso.route.set("private", {fn: fn, before: function () { return false; }});
+		this.abaaso.route.set("pending", {fn: fn, before: function () {
+			var deferred = self.abaaso.promise();
+
+			setTimeout(function () { deferred.reject(new Error("Denied")); }, 10);
+
+			return deferred;
+		}});
+		this.abaaso.on(this.abaaso, "afterRoute", function (args) { self.events.push("after:" + args.route); }, "navigation");
+		this.abaaso.on(this.abaaso, "failedRoute", function (args) { self.events.push("failed:" + args.route); }, "navigation");
+		done();
+	},
+	cancel: function (test) {
+		test.expect(4);
+		test.equal(this.abaaso.route.load("#!/home"), true, "Should be true");
+		this.abaaso.route.load("#!/private");
+		test.equal(this.abaaso.route.current, "home", "Should be 'home'");
+		test.deepEqual(this.browser.states, ["replace:#!/home"], "Should be '[\"replace:#!/home\"]'");
+		test.deepEqual(this.events, ["after:home", "failed:private"], "Should be '[\"after:home\", \"failed:private\"]'");
+		test.done();
+	},
+	"cancel - async": function (test) {
+		var self = this;
+
+		test.expect(3);
+		this.abaaso.route.load("#!/home");
+		this.abaaso.route.load("#!/pending");
+		test.deepEqual(this.browser.states, [], "Should be '[]'");
+		setTimeout(function () {
+			test.equal(self.abaaso.route.current, "home", "Should be 'home'");
+			test.deepEqual(self.browser.states, ["replace:#!/home"], "Should be '[\"replace:#!/home\"]'");
+			test.done();
+		}, 50);
+	},
+	unmatched: function (test) {
+		test.expect(3);
+		test.equal(this.abaaso.route.load("#!/missing"), false, "Should be false");
+		test.deepEqual(this.events, ["failed:error"], "Should be '[\"failed:error\"]'");
+		test.deepEqual(this.browser.states, ["go:-1"], "Should be '[\"go:-1\"]'");
+		test.done();
+	}
+};
+
+exports["url"] = {
+	setUp: function (done) {
+		route.set("/users/:id/orders/:orderId?", {fn: fn, name: "orders"}, "get");
+		route.set("/files/*file", {fn: fn, name: "file"}, "get");
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		done();
+	},
+	params: function (test) {
+		test.expect(3);
+		test.equal(route.url("orders", {id: 123, orderId: "a b"}), "/users/123/orders/a%20b", "Should be '/users/123/orders/a%20b'");
+		test.equal(route.url("orders", {id: 123}), "/users/123/orders", "Should be '/users/123/orders'");
+		test.equal(route.url("file", {file: "css/main.css"}), "/files/css/main.css", "Should be '/files/css/main.css'");
+		test.done();
+	},
+	query: function (test) {
+		test.expect(1);
+		test.equal(route.url("orders", {id: 1}, {tab: "recent", tag: ["a", "b"]}), "/users/1/orders?tab=recent&tag=a&tag=b", "Should be '/users/1/orders?tab=recent&tag=a&tag=b'");
+		test.done();
+	},
+	invalid: function (test) {
+		test.expect(2);
+		test.throws(function () { route.url("orders", {orderId: 1}); }, Error, "Should throw an error");
+		test.throws(function () { route.url("invalid"); }, Error, "Should throw an error");
+		test.done();
+	}
+};
+
+exports["children"] = {
+	setUp: function (done) {
+		route.set("/users/", {fn: fn, name: "users", outlet: "#users", children: {":id": {fn: fn, name: "user"}, "/:id/orders": fn}}, "get");
+		done();
+	},
+	tearDown: function (done) {
+		route.reset();
+		done();
+	},
+	direct: function (test) {
+		test.expect(3);
+		test.equal(route.list("get").contains("/users/:id"), true, "Should be true");
+		test.equal(route.list("get").contains("/users/:id/orders"), true, "Should be true");
+		test.equal(route.url("user", {id: 1}), "/users/1", "Should be '/users/1'");
+		test.done();
+	}
+};
+
+exports["nest"] = {
+	setUp: function (done) {
+		var self = this;
+
+		this.browser  = client();
+		this.abaaso   = this.browser.abaaso;
+		this.layout   = {id: "layout"};
+		this.rendered = [];
+		this.removed  = [];
+		this.view     = function (name) {
+			return {teardown: function () { self.removed.push(name); }};
+		};
+		this.abaaso.route.set("users", {outlet: this.layout, fn: function () {
+			self.rendered.push("users");
+
+			return self.view("users");
+		}, children: {":id": {fn: function (name, req, args) {
+			self.rendered.push("user:" + args.params.id);
+			self.outlet = args.outlet;
+
+			return self.view("user:" + args.params.id);
+		}, teardown: function (args) {
+			self.removed.push("teardown:" + args.params.id);
+		}}}});
+		this.abaaso.route.set("about", fn);
+		done();
+	},
+	reuse: function (test) {
+		test.expect(3);
+		this.abaaso.route.load("#!/users/1");
+		this.abaaso.route.load("#!/users/2");
+		test.deepEqual(this.rendered, ["users", "user:1", "user:2"], "Should be '[\"users\", \"user:1\", \"user:2\"]'");
+		test.deepEqual(this.removed, ["teardown:1", "user:1"], "Should be '[\"teardown:1\", \"user:1\"]'");
+		test.equal(this.outlet, this.layout, "Should be the outlet of the parent");
+		test.done();
+	},
+	teardown: function (test) {
+		test.expect(2);
+		this.abaaso.route.load("#!/users/1");
+		this.abaaso.route.load("#!/about");
+		test.deepEqual(this.removed, ["teardown:1", "user:1", "users"], "Should be '[\"teardown:1\", \"user:1\", \"users\"]'");
+		this.abaaso.route.load("#!/users/1");
+		test.deepEqual(this.rendered, ["users", "user:1", "users", "user:1"], "Should be '[\"users\", \"user:1\", \"users\", \"user:1\"]'");
+		test.done();
+	}
+};
+
+exports["resource"] = {
+	setUp: function (done) {
+		this.port  = 8129;
+		this.store = abaaso.store({id: "resourceStore"}, null, {key: "id"});
+		this.store.data.batch("set", [{id: "a", name: "Jason", age: 30}, {id: "b", name: "Alice", age: 25}, {id: "c", name: "Bob", age: 30}]).then(function () {
+			done();
+		});
+		route.resource("/users", this.store);
+		this.server = route.server({port: this.port, body: true});
+	},
+	tearDown: function (done) {
+		route.reset();
+		this.server.close(done);
+	},
+	collection: function (test) {
+		var port = this.port;
+
+		test.expect(5);
+		request(port, "GET", "/users?order=name&age=30", {}, null, function (res, body) {
+			test.equal(res.statusCode, 200, "Should be 200");
+			test.equal(res.headers.allow, "GET, HEAD, OPTIONS, POST", "Should be 'GET, HEAD, OPTIONS, POST'");
+			test.deepEqual(JSON.parse(body), [{id: "c", name: "Bob", age: 30}, {id: "a", name: "Jason", age: 30}], "Should be Bob & Jason");
+			request(port, "GET", "/users?start=1&limit=1", {}, null, function (res, body) {
+				test.deepEqual(JSON.parse(body), [{id: "b", name: "Alice", age: 25}], "Should be Alice");
+				request(port, "DELETE", "/users", {}, null, function (res) {
+					test.equal(res.statusCode, 405, "Should be 405");
+					test.done();
+				});
+			});
+		});
+	},
+	filters: function (test) {
+		var port = this.port;
+
+		test.expect(3);
+		this.store.data.set("d", {name: "Jo Doe", zip: "01234"}).then(function () {
+			request(port, "GET", "/users?name=Jo%20Doe", {}, null, function (res, body) {
+				test.deepEqual(JSON.parse(body), [{id: "d", name: "Jo Doe", zip: "01234"}], "Should be Jo Doe");
+				request(port, "GET", "/users?zip=01234&order=name", {}, null, function (res, body) {
+					test.equal(JSON.parse(body).length, 1, "Should be '1'");
+					request(port, "GET", "/users?age=25&age=30&order=name%20desc", {}, null, function (res, body) {
+						test.deepEqual(JSON.parse(body).map(function (i) { return i.id; }), ["a", "c", "b"], "Should be Jason, Bob & Alice");
+						test.done();
+					});
+				});
+			});
+		});
+	},
+	create: function (test) {
+		var port = this.port;
+
+		test.expect(4);
+		request(port, "POST", "/users", {"Content-Type": "application/json"}, JSON.stringify({id: "d", name: "Dana"}), function (res, body) {
+			test.equal(res.statusCode, 201, "Should be 201");
+			test.equal(res.headers.location, "/users/d", "Should be '/users/d'");
+			test.deepEqual(JSON.parse(body), {id: "d", name: "Dana"}, "Should be Dana");
+			request(port, "POST", "/users", {"Content-Type": "application/json"}, JSON.stringify({id: "d", name: "Dana"}), function (res) {
+				test.equal(res.statusCode, 409, "Should be 409");
+				test.done();
+			});
+		});
+	},
+	record: function (test) {
+		var port = this.port;
+
+		test.expect(4);
+		request(port, "GET", "/users/a", {}, null, function (res, body) {
+			test.equal(res.headers.allow, "DELETE, GET, HEAD, OPTIONS, PATCH, PUT", "Should be 'DELETE, GET, HEAD, OPTIONS, PATCH, PUT'");
+			test.deepEqual(JSON.parse(body), {id: "a", name: "Jason", age: 30}, "Should be Jason");
+			request(port, "PATCH", "/users/a", {"Content-Type": "application/json"}, JSON.stringify({age: 31}), function (res, body) {
+				test.deepEqual(JSON.parse(body), {id: "a", name: "Jason", age: 31}, "Should be 31");
+				request(port, "GET", "/users/z", {}, null, function (res) {
+					test.equal(res.statusCode, 404, "Should be 404");
+					test.done();
+				});
+			});
+		});
+	},
+	replace: function (test) {
+		var self = this;
+
+		test.expect(2);
+		request(this.port, "PUT", "/users/e", {"Content-Type": "application/json"}, JSON.stringify({name: "Eve"}), function (res, body) {
+			test.equal(res.statusCode, 201, "Should be 201");
+			test.equal(self.store.data.get("e").data.name, "Eve", "Should be 'Eve'");
+			test.done();
+		});
+	},
+	remove: function (test) {
+		var self = this;
+
+		test.expect(2);
+		request(this.port, "DELETE", "/users/b", {}, null, function (res) {
+			test.equal(res.statusCode, 204, "Should be 204");
+			test.equal(self.store.data.get("b"), undefined, "Should be undefined");
+			test.done();
+		});
+	}
+};
@@ -1,4 +1,4 @@
-var state   = require("../lib/abaaso.js").state,
+var state   = require("../build/abaaso.js").state,
     initial = "active",
     empty   = null;
 